@@ -1,18 +1,88 @@
 import "aframe";
 import "aframe-physics-system";
+import { Capsule } from "three/addons/math/Capsule.js";
+import { Octree } from "three/addons/math/Octree.js";
+import { TransformControls } from "three/addons/controls/TransformControls.js";
+import { SimplifyModifier } from "three/addons/modifiers/SimplifyModifier.js";
+import {
+  mergeGeometries,
+  mergeVertices,
+} from "three/addons/utils/BufferGeometryUtils.js";
+
+// Fog shared by every material's fog chunk, quantised with an ordered
+// (Bayer) dither so density falls off in stepped bands
+const ditheredFogParsFragment = `
+  #include <fog_pars_fragment>
+
+  #ifdef USE_FOG
+    uniform float ditherSize;
+    uniform float ditherLevels;
+    uniform float ditherStrength;
+
+    // Recursive Bayer matrices, thresholds in [0, 1)
+    float bayer2(vec2 a) {
+      a = floor(a);
+      return fract(dot(a, vec2(0.5, a.y * 0.75)));
+    }
+    float bayer4(vec2 a) {
+      return bayer2(0.5 * a) * 0.25 + bayer2(a);
+    }
+    float bayer8(vec2 a) {
+      return bayer4(0.5 * a) * 0.25 + bayer2(a);
+    }
 
-// Dithered fog component with culling
+    float ditherThreshold(vec2 pixel) {
+      if (ditherSize < 3.0) return bayer2(pixel);
+      if (ditherSize < 6.0) return bayer4(pixel);
+      return bayer8(pixel);
+    }
+  #endif
+`;
+
+const ditheredFogFragment = (fogTarget) => `
+  #ifdef USE_FOG
+    #ifdef FOG_EXP2
+      float fogFactor = 1.0 - exp(-fogDensity * fogDensity * vFogDepth * vFogDepth);
+    #else
+      float fogFactor = smoothstep(fogNear, fogFar, vFogDepth);
+    #endif
+
+    // Snap to ditherLevels bands, the matrix picks which pixels round up
+    float fogSteps = max(ditherLevels - 1.0, 1.0);
+    float fogBand = floor(fogFactor * fogSteps + ditherThreshold(gl_FragCoord.xy)) / fogSteps;
+    fogFactor = mix(fogFactor, clamp(fogBand, 0.0, 1.0), ditherStrength);
+
+    gl_FragColor.rgb = mix(gl_FragColor.rgb, ${fogTarget}, fogFactor);
+  #endif
+`;
+
+// Dithered fog component
 AFRAME.registerComponent("dithered-fog", {
+  // Dark Souls style by default (darker, denser, closer)
+  schema: {
+    color: { type: "color", default: "#6b7a8c" },
+    near: { type: "number", default: 20 },
+    far: { type: "number", default: 80 },
+    matrixSize: { type: "int", default: 4 }, // Bayer matrix: 2, 4 or 8
+    levels: { type: "int", default: 6 }, // Fog bands
+    strength: { type: "number", default: 1 }, // 0 = smooth fog
+  },
+
   init: function () {
     const scene = this.el.sceneEl;
 
-    scene.addEventListener("loaded", () => {
-      const renderer = scene.renderer;
-      const threeScene = scene.object3D;
+    this.fog = new THREE.Fog(this.data.color, this.data.near, this.data.far);
+    scene.object3D.fog = this.fog;
 
-      // Enable fog - Dark Souls style (darker, denser, closer)
-      threeScene.fog = new THREE.Fog(0x6b7a8c, 20, 80);
+    // Shared by every patched program, so changes apply everywhere at once
+    this.uniforms = {
+      ditherSize: { value: 4 },
+      ditherLevels: { value: 6 },
+      ditherStrength: { value: 1 },
+    };
+    this.patchMaterials();
 
+    scene.addEventListener("loaded", () => {
       // Enable fog on skybox
       const applySkyboxFog = () => {
         const skybox = scene.querySelector("a-sky");
@@ -30,1336 +100,9176 @@ AFRAME.registerComponent("dithered-fog", {
       setTimeout(applySkyboxFog, 100);
       setTimeout(applySkyboxFog, 500);
       setTimeout(applySkyboxFog, 1500);
-
-      // Add dither shader to all materials (except those with fog disabled)
-      scene.object3D.traverse((node) => {
-        if (node.material && node.material.fog !== false) {
-          this.addDitherToMaterial(node.material);
-        }
-      });
-
-      // Start culling system
-      this.startCulling();
     });
   },
 
-  startCulling: function () {
-    const scene = this.el.sceneEl;
-    const fogFar = 80; // Match Dark Souls fog distance
-    const cullDistance = fogFar + 20; // Cull objects 20 units beyond fog
-
-    // Create frustum for view culling
-    this.frustum = new THREE.Frustum();
-    this.cameraMatrix = new THREE.Matrix4();
-
-    // Track all entities with obj-model (but not skybox or primitives)
-    this.cullableEntities = [];
-    scene.querySelectorAll("[obj-model]").forEach((el) => {
-      // Skip skybox and primitives like spheres
-      if (el.tagName === "A-SKY" || el.tagName === "A-SPHERE") return;
-
-      // Create bounding box for each entity
-      const bbox = new THREE.Box3();
-      this.cullableEntities.push({
-        el: el,
-        visible: true,
-        bbox: bbox,
-      });
-    });
-
-    // Check visibility every frame
-    this.cullTick = AFRAME.utils.throttle(() => {
-      const camera = document.querySelector("[camera]");
-      if (!camera) return;
-
-      const cameraPos = camera.object3D.position;
-      const threeCamera = camera.getObject3D("camera");
-
-      // Update frustum from camera
-      this.cameraMatrix.multiplyMatrices(
-        threeCamera.projectionMatrix,
-        threeCamera.matrixWorldInverse,
-      );
-      this.frustum.setFromProjectionMatrix(this.cameraMatrix);
-
-      this.cullableEntities.forEach((item) => {
-        const entityPos = item.el.object3D.position;
-        const distance = cameraPos.distanceTo(entityPos);
-
-        // Update bounding box
-        item.bbox.setFromObject(item.el.object3D);
-
-        // Check if bounding box intersects frustum (more accurate than point check)
-        const inView = this.frustum.intersectsBox(item.bbox);
-
-        // Toggle visibility based on distance AND view frustum
-        const shouldBeVisible = distance <= cullDistance && inView;
-
-        if (!shouldBeVisible && item.visible) {
-          item.el.object3D.visible = false;
-          item.visible = false;
-        } else if (shouldBeVisible && !item.visible) {
-          item.el.object3D.visible = true;
-          item.visible = true;
+  update: function (oldData) {
+    const data = this.data;
+
+    this.fog.color.set(data.color);
+    this.fog.near = data.near;
+    this.fog.far = data.far;
+
+    this.uniforms.ditherSize.value = data.matrixSize;
+    this.uniforms.ditherLevels.value = Math.max(2, data.levels);
+    this.uniforms.ditherStrength.value = data.strength;
+
+    // Built-in materials only re-upload uniforms on a refresh
+    if (
+      data.matrixSize !== oldData.matrixSize ||
+      data.levels !== oldData.levels ||
+      data.strength !== oldData.strength
+    ) {
+      this.el.sceneEl.object3D.traverse((node) => {
+        if (node.material) {
+          [].concat(node.material).forEach((material) => {
+            material.needsUpdate = true;
+          });
         }
       });
-    }, 100); // Throttle to every 100ms for performance
-  },
-
-  tick: function () {
-    if (this.cullTick) {
-      this.cullTick();
     }
   },
 
-  addDitherToMaterial: function (material) {
-    // Simplified - just ensure fog is enabled
-    if (material.fog === undefined) {
-      material.fog = true;
-      material.needsUpdate = true;
-    }
-  },
-});
+  // Every material compiles through this (Phong, Lambert, Standard and the
+  // fog-enabled custom shaders), including models that load later. Materials
+  // with their own onBeforeCompile keep plain fog.
+  patchMaterials: function () {
+    const prototype = THREE.Material.prototype;
+    const uniforms = this.uniforms;
+
+    this.originalOnBeforeCompile = prototype.onBeforeCompile;
+    this.originalCacheKey = prototype.customProgramCacheKey;
+
+    prototype.onBeforeCompile = function (shader) {
+      // Additive things (the flame) fade out instead of turning grey
+      const additive = this.blending === THREE.AdditiveBlending;
+
+      Object.assign(shader.uniforms, uniforms);
+      shader.fragmentShader = shader.fragmentShader
+        .replace("#include <fog_pars_fragment>", ditheredFogParsFragment)
+        .replace(
+          "#include <fog_fragment>",
+          ditheredFogFragment(additive ? "vec3(0.0)" : "fogColor"),
+        );
+    };
 
-// Register bright-sky shader
-AFRAME.registerShader("bright-sky", {
-  schema: {
-    src: { type: "map" },
-    brightness: { type: "number", default: 2.0 },
+    prototype.customProgramCacheKey = function () {
+      const additive = this.blending === THREE.AdditiveBlending;
+      return `${this.onBeforeCompile.toString()}:${additive}`;
+    };
   },
-  fragmentShader: `
-    varying vec2 vUV;
-    uniform sampler2D src;
-    uniform float brightness;
 
-    void main() {
-      vec4 color = texture2D(src, vUV);
-      gl_FragColor = vec4(color.rgb * brightness, color.a);
-    }
-  `,
-  vertexShader: `
-    varying vec2 vUV;
-    void main() {
-      vUV = uv;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-    }
-  `,
+  remove: function () {
+    const prototype = THREE.Material.prototype;
+    prototype.onBeforeCompile = this.originalOnBeforeCompile;
+    prototype.customProgramCacheKey = this.originalCacheKey;
+    this.el.sceneEl.object3D.fog = null;
+  },
 });
 
-// Physics-based first-person controller
-AFRAME.registerComponent("fps-controller", {
+// Hides obj-model entities beyond the fog or outside the view. Anything with
+// an obj-model is picked up once its model is in (level pieces, console
+// spawns) and dropped again when it's removed. Bounds are cached in world
+// space and only rebuilt when an entity moves.
+AFRAME.registerSystem("culling", {
   schema: {
-    speed: { type: "number", default: 5 },
-    jumpForce: { type: "number", default: 5 },
-    crouchHeight: { type: "number", default: 0.8 },
-    standHeight: { type: "number", default: 1.6 },
+    enabled: { default: true },
+    margin: { type: "number", default: 20 }, // Past the fog's far distance
+    distance: { type: "number", default: 0 }, // Fixed distance, 0 = use fog
+    interval: { type: "number", default: 100 }, // ms between checks
   },
 
   init: function () {
-    this.keys = {};
-    this.isCrouching = false;
-    this.hasLanded = false;
-    this.isPaused = false;
-    this.noclip = true; // Noclip mode always enabled
-
-    // Setup raycaster for collision detection
-    this.raycaster = new THREE.Raycaster();
-    this.raycaster.far = 0.5; // Check 0.5 units ahead
-    this.obstacles = null; // Cache obstacles
-
-    this.onKeyDown = (event) => {
-      if (this.isPaused) return;
-      this.keys[event.code] = true;
-
-      // Jump (skip in noclip mode)
-      if (event.code === "Space" && !this.noclip) {
-        const body = this.el.body;
-        if (body && this.physicsReady) {
-          // Physics-based jump - check if grounded by velocity
-          if (Math.abs(body.velocity.y) < 0.5) {
-            body.velocity.y = this.data.jumpForce;
-          }
-        } else {
-          // Fallback jump for when physics not ready
-          if (!this.velocity) this.velocity = new THREE.Vector3();
-          if (Math.abs(this.velocity.y) < 0.1) {
-            this.velocity.y = this.data.jumpForce;
-          }
-        }
-      }
+    this.entries = new Set();
+    this.frustum = new THREE.Frustum();
+    this.viewProjection = new THREE.Matrix4();
+    this.cameraPosition = new THREE.Vector3();
+    this.lastCheck = -Infinity;
+    this.stats = { tracked: 0, visible: 0, distance: 0, frustum: 0 };
 
-      // Toggle crouch
-      if (event.code === "KeyC") {
-        this.isCrouching = !this.isCrouching;
+    this.onObject3DSet = (event) => {
+      const el = event.target;
+      if (
+        event.detail.type === "mesh" &&
+        el.hasAttribute("obj-model") &&
+        !el.hasAttribute("cullable")
+      ) {
+        el.setAttribute("cullable", "");
       }
     };
+    this.el.addEventListener("object3dset", this.onObject3DSet);
+  },
 
-    this.onKeyUp = (event) => {
-      if (this.isPaused) return;
-      this.keys[event.code] = false;
-    };
-
-    window.addEventListener("keydown", this.onKeyDown);
-    window.addEventListener("keyup", this.onKeyUp);
-
-    // Wait for physics body to be ready
-    this.physicsReady = false;
-    this.el.addEventListener("body-loaded", () => {
-      const body = this.el.body;
-      if (body) {
-        console.log(
-          "✓ Player physics body loaded, switching to physics movement",
-        );
-        // Prevent body from rotating
-        body.fixedRotation = true;
-        body.updateMassProperties();
-        this.physicsReady = true;
+  update: function (oldData) {
+    if (oldData.enabled && !this.data.enabled) {
+      this.entries.forEach((entry) => entry.setCulled(false));
+      this.updateStats();
+    }
+  },
 
-        // Clear fallback obstacles cache since we're using physics now
-        this.obstacles = null;
-      }
-    });
+  setEnabled: function (enabled) {
+    const oldData = Object.assign({}, this.data);
+    this.data.enabled = enabled;
+    this.update(oldData);
   },
 
-  tick: function (time, timeDelta) {
-    const el = this.el;
+  addEntry: function (entry) {
+    this.entries.add(entry);
+  },
 
-    // Trigger landing event for loading screen
-    if (!this.hasLanded) {
-      const position = el.object3D.position;
-      // Player starts at Y=3.77, so trigger immediately
-      if (position.y <= 10) {
-        this.hasLanded = true;
-        this.el.sceneEl.emit("player-landed");
-      }
-    }
+  removeEntry: function (entry) {
+    this.entries.delete(entry);
+  },
 
-    if (this.isPaused) {
+  tick: function (time) {
+    if (!this.data.enabled || time - this.lastCheck < this.data.interval) {
       return;
     }
+    this.lastCheck = time;
+    this.check();
+  },
 
-    const cameraEl = el.querySelector("[camera]");
-    const rotation = cameraEl
-      ? cameraEl.object3D.rotation
-      : el.object3D.rotation;
-
-    const delta = timeDelta / 1000;
-    const moveVector = new THREE.Vector3();
-
-    // Movement speed (slower when crouching, faster in noclip)
-    let currentSpeed = this.isCrouching
-      ? this.data.speed * 0.5
-      : this.data.speed;
-
-    // Make noclip faster
-    if (this.noclip) {
-      currentSpeed = this.data.speed * 3; // 3x speed in noclip
-    }
+  getMaxDistance: function () {
+    if (this.data.distance > 0) return this.data.distance;
+    const fog = this.el.object3D.fog;
+    return fog && fog.isFog ? fog.far + this.data.margin : Infinity;
+  },
 
-    // Horizontal movement
-    if (this.keys.KeyW) {
-      moveVector.z -= currentSpeed;
-    }
-    if (this.keys.KeyS) {
-      moveVector.z += currentSpeed;
-    }
-    if (this.keys.KeyA) {
-      moveVector.x -= currentSpeed;
-    }
-    if (this.keys.KeyD) {
-      moveVector.x += currentSpeed;
-    }
+  check: function () {
+    const renderer = this.el.renderer;
+    const camera = renderer.xr.isPresenting
+      ? renderer.xr.getCamera()
+      : this.el.camera;
+    if (!camera) return;
+
+    // Matrices are from the last rendered frame, close enough at 10 Hz
+    this.viewProjection.multiplyMatrices(
+      camera.projectionMatrix,
+      camera.matrixWorldInverse,
+    );
+    this.frustum.setFromProjectionMatrix(this.viewProjection);
+    camera.getWorldPosition(this.cameraPosition);
 
-    // Apply camera rotation to horizontal movement only
-    const horizontalMovement = new THREE.Vector3(moveVector.x, 0, moveVector.z);
-    horizontalMovement.applyEuler(new THREE.Euler(0, rotation.y, 0));
+    const maxDistance = this.getMaxDistance();
+    this.entries.forEach((entry) => {
+      const box = entry.getBounds();
 
-    // Vertical movement for noclip (applied separately to preserve world-space up/down)
-    let verticalMovement = 0;
-    if (this.noclip) {
-      if (this.keys.Space) {
-        verticalMovement = currentSpeed;
-      }
-      if (this.keys.ShiftLeft || this.keys.ShiftRight) {
-        verticalMovement = -currentSpeed;
+      // Nothing loaded under it yet
+      if (box.isEmpty()) {
+        entry.setCulled(false);
+        return;
       }
-    }
 
-    if (this.noclip) {
-      // Noclip mode - free movement, no collision
-      const position = el.object3D.position;
-      position.x += horizontalMovement.x * delta;
-      position.y += verticalMovement * delta;
-      position.z += horizontalMovement.z * delta;
-    } else {
-      // Manual movement with collision detection
-      const position = el.object3D.position;
+      if (box.distanceToPoint(this.cameraPosition) > maxDistance) {
+        entry.setCulled("distance");
+      } else if (!this.frustum.intersectsBox(box)) {
+        entry.setCulled("frustum");
+      } else {
+        entry.setCulled(false);
+      }
+    });
 
-      // Check for collision before moving
-      if (moveVector.length() > 0) {
-        // Cache obstacles on first check
-        if (!this.obstacles) {
-          this.obstacles = [];
-          this.el.sceneEl
-            .querySelectorAll("[static-body]")
-            .forEach((entity) => {
-              if (entity.object3D) {
-                entity.object3D.traverse((obj) => {
-                  if (obj.isMesh) {
-                    this.obstacles.push(obj);
-                  }
-                });
-              }
-            });
-        }
+    this.updateStats();
+  },
 
-        const moveDir = moveVector.clone().normalize();
-        this.raycaster.set(position, moveDir);
-        const intersections = this.raycaster.intersectObjects(
-          this.obstacles,
-          false,
-        );
+  updateStats: function () {
+    const stats = this.stats;
+    stats.tracked = this.entries.size;
+    stats.visible = 0;
+    stats.distance = 0;
+    stats.frustum = 0;
 
-        // Only move if no collision or collision is far enough
-        if (intersections.length === 0 || intersections[0].distance > 0.5) {
-          position.x += moveVector.x * delta;
-          position.z += moveVector.z * delta;
-        }
+    this.entries.forEach((entry) => {
+      if (entry.culled) {
+        stats[entry.culled]++;
+      } else {
+        stats.visible++;
       }
+    });
+  },
 
-      // Manual gravity
-      if (!this.velocity) this.velocity = new THREE.Vector3();
-      this.velocity.y -= 20 * delta;
-
-      // Ground check with raycasting
-      if (this.obstacles) {
-        // Cast ray downward from player position
-        const downDir = new THREE.Vector3(0, -1, 0);
-        this.raycaster.set(position, downDir);
-        this.raycaster.far = 10; // Check up to 10 units below
+  getStats: function () {
+    return Object.assign(
+      { enabled: this.data.enabled, maxDistance: this.getMaxDistance() },
+      this.stats,
+    );
+  },
+});
 
-        const groundIntersections = this.raycaster.intersectObjects(
-          this.obstacles,
-          false,
-        );
+// An entity the culling system may hide. Added automatically to obj-model
+// entities; add it by hand for anything else big enough to be worth it.
+AFRAME.registerComponent("cullable", {
+  init: function () {
+    this.culling = this.el.sceneEl.systems.culling;
+    this.box = new THREE.Box3();
+    this.boundsMatrix = new THREE.Matrix4(); // matrixWorld the box is for
+    this.boundsValid = false;
+    this.culled = false; // false, "distance" or "frustum"
+
+    // New geometry under the entity means new bounds
+    this.onObject3DSet = () => {
+      this.boundsValid = false;
+    };
+    this.el.addEventListener("object3dset", this.onObject3DSet);
 
-        if (groundIntersections.length > 0) {
-          const groundY = groundIntersections[0].point.y;
-          const playerHeight = 1.6;
-          const targetY = groundY + playerHeight;
-
-          const heightDiff = targetY - position.y;
-
-          // Smooth ramp walking - gradually adjust to ground height
-          if (Math.abs(heightDiff) < 2.0) {
-            // Smoothly interpolate to target height for ramps
-            const stepUpSpeed = 10; // Units per second for climbing
-            const maxStep = stepUpSpeed * delta;
-
-            if (Math.abs(heightDiff) < maxStep) {
-              // Close enough, snap to ground
-              position.y = targetY;
-              this.velocity.y = 0;
-            } else if (heightDiff > 0) {
-              // Step up smoothly
-              position.y += maxStep;
-              this.velocity.y = 0;
-            } else {
-              // Step down smoothly
-              position.y -= maxStep;
-              this.velocity.y = 0;
-            }
-          } else if (heightDiff > 0) {
-            // Too high to step up, treat as wall
-            position.y += this.velocity.y * delta;
-          } else {
-            // Falling - apply gravity
-            position.y += this.velocity.y * delta;
-          }
-        } else {
-          // No ground detected, apply gravity and check minimum height
-          position.y += this.velocity.y * delta;
-          if (position.y <= 1.6) {
-            position.y = 1.6;
-            this.velocity.y = 0;
-          }
-        }
+    this.culling.addEntry(this);
+  },
 
-        // Reset raycaster far distance for horizontal checks
-        this.raycaster.far = 0.5;
-      } else {
-        // Fallback ground check
-        if (position.y <= 1.6) {
-          position.y = 1.6;
-          this.velocity.y = 0;
-        } else {
-          position.y += this.velocity.y * delta;
-        }
-      }
-    }
+  getBounds: function () {
+    const object3D = this.el.object3D;
+    object3D.updateWorldMatrix(true, false);
 
-    // Smooth camera height transition
-    if (cameraEl) {
-      const targetHeight = this.isCrouching ? -0.4 : 0;
-      const currentCamY = cameraEl.object3D.position.y;
-      cameraEl.object3D.position.y += (targetHeight - currentCamY) * delta * 5;
+    if (!this.boundsValid || !this.boundsMatrix.equals(object3D.matrixWorld)) {
+      this.box.setFromObject(object3D);
+      this.boundsMatrix.copy(object3D.matrixWorld);
+      this.boundsValid = true;
     }
+    return this.box;
   },
 
-  pause: function () {
-    this.isPaused = true;
-    // Clear all keys when paused
-    this.keys = {};
-  },
+  setCulled: function (culled) {
+    if (culled === this.culled) return;
 
-  play: function () {
-    this.isPaused = false;
+    // Switching from one reason to the other leaves it hidden
+    if (!culled || !this.culled) this.el.object3D.visible = !culled;
+    this.culled = culled;
   },
 
   remove: function () {
-    window.removeEventListener("keydown", this.onKeyDown);
-    window.removeEventListener("keyup", this.onKeyUp);
+    this.setCulled(false);
+    this.culling.removeEntry(this);
+    this.el.removeEventListener("object3dset", this.onObject3DSet);
   },
 });
 
-// True pixel sorter using canvas overlay
-AFRAME.registerComponent("pixel-sorter", {
+// Named fog/lighting moods for reviewing the shrine. Switching presets
+// animates from whatever is showing now. A preset looks like
+//   { fog: { color, near, far }, sky: "<tint>",
+//     lights: { "<light id>": { color, groundColor, intensity } } }
+// and src can add or replace presets from a JSON file of them.
+AFRAME.registerComponent("environment", {
   schema: {
-    enabled: { type: "boolean", default: false },
-    threshold: { type: "number", default: 0.3 },
-    sortLength: { type: "number", default: 80 },
+    preset: { default: "foggy-day" },
+    src: { type: "string" },
+    duration: { type: "number", default: 3000 }, // ms
   },
 
-  init: function () {
-    // Create pixel sorter overlay canvas
-    this.sorterCanvas = document.createElement("canvas");
-    this.sorterCanvas.id = "pixel-sorter-overlay";
-    this.sorterCanvas.style.position = "fixed";
-    this.sorterCanvas.style.top = "0";
-    this.sorterCanvas.style.left = "0";
-    this.sorterCanvas.style.width = "100%";
-    this.sorterCanvas.style.height = "100%";
-    this.sorterCanvas.style.pointerEvents = "none";
-    this.sorterCanvas.style.zIndex = "999";
-    this.sorterCanvas.style.display = "none";
-
-    this.sorterCtx = this.sorterCanvas.getContext("2d");
-    document.body.appendChild(this.sorterCanvas);
+  presets: {
+    "foggy-day": {
+      fog: { color: "#6b7a8c", near: 20, far: 80 },
+      sky: "#ffffff",
+      lights: {
+        "ambient-light": { color: "#b0c4d8", intensity: 1.2 },
+        "hemisphere-light": {
+          color: "#c8d5e5",
+          groundColor: "#7a8a9a",
+          intensity: 0.6,
+        },
+        "sun-light": { color: "#d4dfe8", intensity: 0.3 },
+      },
+    },
+    dusk: {
+      fog: { color: "#6e5a5e", near: 15, far: 70 },
+      sky: "#d8a08c",
+      lights: {
+        "ambient-light": { color: "#c89a88", intensity: 0.6 },
+        "hemisphere-light": {
+          color: "#e0a888",
+          groundColor: "#4a3a4a",
+          intensity: 0.5,
+        },
+        "sun-light": { color: "#ff9a60", intensity: 0.6 },
+      },
+    },
+    // Barely any moonlight, the bonfire does the rest
+    night: {
+      fog: { color: "#0e1119", near: 8, far: 45 },
+      sky: "#262c3c",
+      lights: {
+        "ambient-light": { color: "#28304a", intensity: 0.15 },
+        "hemisphere-light": {
+          color: "#303850",
+          groundColor: "#0c0c12",
+          intensity: 0.1,
+        },
+        "sun-light": { color: "#405070", intensity: 0.05 },
+      },
+    },
+    clear: {
+      fog: { color: "#a8c0d8", near: 60, far: 250 },
+      sky: "#ffffff",
+      lights: {
+        "ambient-light": { color: "#ffffff", intensity: 0.8 },
+        "hemisphere-light": {
+          color: "#dfefff",
+          groundColor: "#8a8a7a",
+          intensity: 0.7,
+        },
+        "sun-light": { color: "#fff4e0", intensity: 1.0 },
+      },
+    },
   },
 
-  update: function () {
-    const webglCanvas = this.el.sceneEl.canvas;
-
-    if (this.data.enabled) {
-      this.sorterCanvas.style.display = "block";
-      // Keep WebGL canvas visible for interaction, just hide it visually
-      webglCanvas.style.opacity = "0";
-      this.sorterCanvas.width = window.innerWidth;
-      this.sorterCanvas.height = window.innerHeight;
-    } else {
-      this.sorterCanvas.style.display = "none";
-      webglCanvas.style.opacity = "1";
-    }
+  init: function () {
+    // Own copy, so presets from JSON don't leak into other scenes
+    this.presets = Object.assign({}, this.presets);
+    this.transition = null;
+    this.current = null;
+    this.loading = false;
+    this.colorA = new THREE.Color();
+    this.colorB = new THREE.Color();
   },
 
-  tick: function () {
-    if (!this.data.enabled) return;
-
-    const canvas = this.el.sceneEl.canvas;
-    const width = this.sorterCanvas.width;
-    const height = this.sorterCanvas.height;
-
-    // Draw the WebGL canvas to our sorter canvas
-    this.sorterCtx.drawImage(canvas, 0, 0, width, height);
+  update: function (oldData) {
+    if (this.data.src && this.data.src !== oldData.src) {
+      const src = this.data.src;
+      this.loading = true;
 
-    // Get image data
-    const imageData = this.sorterCtx.getImageData(0, 0, width, height);
-    const data = imageData.data;
+      this.el.sceneEl.systems["asset-loader"]
+        .load(src, "json")
+        .then((presets) => {
+          if (this.data.src !== src) return;
+          this.loading = false;
+          if (presets) Object.assign(this.presets, presets);
 
-    // Pixel sort each row
-    for (let y = 0; y < height; y++) {
-      this.sortRow(data, y, width, height);
+          // The file may define or redefine the preset we're waiting on
+          this.setPreset(this.data.preset, 0);
+        });
     }
 
-    // Put the sorted data back
-    this.sorterCtx.putImageData(imageData, 0, 0);
+    if (this.data.preset !== oldData.preset) {
+      // The first preset goes in as-is, later ones fade
+      this.setPreset(this.data.preset, this.current ? this.data.duration : 0);
+    }
   },
 
-  sortRow: function (data, y, width, height) {
-    const threshold = this.data.threshold * 255;
-    const sortLength = this.data.sortLength;
-
-    let x = 0;
-    while (x < width) {
-      // Find start of bright region (with alpha check)
-      let startX = x;
-      while (startX < width) {
-        const i = (y * width + startX) * 4;
-        const a = data[i + 3];
-        // Skip transparent/background pixels
-        if (a > 10) {
-          const brightness = (data[i] + data[i + 1] + data[i + 2]) / 3;
-          if (brightness > threshold) break;
-        }
-        startX++;
-      }
-
-      if (startX >= width) break;
-
-      // Find end of bright region (or limit by sortLength)
-      let endX = startX;
-      while (endX < width && endX - startX < sortLength) {
-        const i = (y * width + endX) * 4;
-        const a = data[i + 3];
-        // Stop at transparent/background pixels
-        if (a <= 10) break;
-        const brightness = (data[i] + data[i + 1] + data[i + 2]) / 3;
-        if (brightness <= threshold) break;
-        endX++;
-      }
-
-      // Sort this region by brightness
-      if (endX > startX) {
-        const pixels = [];
-        for (let px = startX; px < endX; px++) {
-          const i = (y * width + px) * 4;
-          pixels.push({
-            r: data[i],
-            g: data[i + 1],
-            b: data[i + 2],
-            a: data[i + 3],
-            brightness: (data[i] + data[i + 1] + data[i + 2]) / 3,
-          });
-        }
-
-        // Sort by brightness
-        pixels.sort((a, b) => a.brightness - b.brightness);
-
-        // Write sorted pixels back with psychedelic color shift
-        const time = Date.now() * 0.001;
-        const sortIntensity = (endX - startX) / sortLength; // How much sorting happened
-
-        for (let px = startX; px < endX; px++) {
-          const i = (y * width + px) * 4;
-          const pixel = pixels[px - startX];
-
-          // Tie hue shift to sort position within the sorted region
-          const positionInSort = (px - startX) / (endX - startX);
-          const hueShift =
-            (positionInSort * sortIntensity * 0.5 + time * 0.2) % 1;
+  getPresetNames: function () {
+    return Object.keys(this.presets);
+  },
 
-          // Convert RGB to HSL
-          const r = pixel.r / 255;
-          const g = pixel.g / 255;
-          const b = pixel.b / 255;
+  setPreset: function (name, duration) {
+    const preset = this.presets[name];
+    if (!preset) {
+      if (!this.loading) {
+        console.warn(`environment: unknown preset "${name}"`);
+      }
+      return false;
+    }
 
-          const max = Math.max(r, g, b);
-          const min = Math.min(r, g, b);
-          const l = (max + min) / 2;
+    this.current = name;
+    this.transition = {
+      name: name,
+      from: this.capture(preset),
+      to: preset,
+      duration: duration,
+      start: null,
+    };
 
-          let h, s;
-          if (max === min) {
-            h = s = 0;
-          } else {
-            const d = max - min;
-            s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    // Cuts don't wait a frame. Before the scene has loaded the lights aren't
+    // set up yet, so the first tick applies it instead.
+    if (duration <= 0 && this.el.hasLoaded) this.tick(0);
+    return true;
+  },
 
-            if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
-            else if (max === g) h = (b - r) / d + 2;
-            else h = (r - g) / d + 4;
-            h /= 6;
-          }
+  tick: function (time) {
+    const transition = this.transition;
+    if (!transition) return;
 
-          // Apply psychedelic shift
-          h = (h + hueShift) % 1;
-          s = Math.min(1, s + 0.5);
-
-          // Convert HSL back to RGB
-          const hue2rgb = (p, q, t) => {
-            if (t < 0) t += 1;
-            if (t > 1) t -= 1;
-            if (t < 1 / 6) return p + (q - p) * 6 * t;
-            if (t < 1 / 2) return q;
-            if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-            return p;
-          };
-
-          let newR, newG, newB;
-          if (s === 0) {
-            newR = newG = newB = l;
-          } else {
-            const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-            const p = 2 * l - q;
-            newR = hue2rgb(p, q, h + 1 / 3);
-            newG = hue2rgb(p, q, h);
-            newB = hue2rgb(p, q, h - 1 / 3);
-          }
+    if (transition.start === null) transition.start = time;
+    const t =
+      transition.duration > 0
+        ? Math.min(1, (time - transition.start) / transition.duration)
+        : 1;
 
-          data[i] = Math.floor(newR * 255);
-          data[i + 1] = Math.floor(newG * 255);
-          data[i + 2] = Math.floor(newB * 255);
-          data[i + 3] = pixel.a;
-        }
-      }
+    this.apply(this.blend(transition.from, transition.to, t * t * (3 - 2 * t)));
 
-      x = endX;
+    if (t === 1) {
+      this.transition = null;
+      this.el.emit("environment-changed", { preset: transition.name });
     }
   },
 
-  remove: function () {
-    if (this.sorterCanvas && this.sorterCanvas.parentNode) {
-      this.sorterCanvas.parentNode.removeChild(this.sorterCanvas);
+  // Current values of everything the target preset touches
+  capture: function (target) {
+    const scene = this.el;
+    const state = { lights: {} };
+
+    if (target.fog) {
+      const fog = scene.getAttribute("dithered-fog") || {};
+      state.fog = { color: fog.color, near: fog.near, far: fog.far };
     }
-  },
-});
 
-// True ASCII effect using canvas 2D overlay
-AFRAME.registerComponent("ascii-shader", {
-  schema: {
-    enabled: { type: "boolean", default: false },
-    characters: { type: "string", default: " .:-=+*#%@" },
-    fontSize: { type: "number", default: 10 },
-  },
+    if (target.sky) {
+      const sky = scene.querySelector("a-sky");
+      const material = sky && sky.getAttribute("material");
+      state.sky = (material && material.color) || "#ffffff";
+    }
 
-  init: function () {
-    // Create ASCII overlay canvas
-    this.asciiCanvas = document.createElement("canvas");
-    this.asciiCanvas.id = "ascii-overlay";
-    this.asciiCanvas.style.position = "fixed";
-    this.asciiCanvas.style.top = "0";
-    this.asciiCanvas.style.left = "0";
-    this.asciiCanvas.style.width = "100%";
-    this.asciiCanvas.style.height = "100%";
-    this.asciiCanvas.style.pointerEvents = "none";
-    this.asciiCanvas.style.zIndex = "999";
-    this.asciiCanvas.style.display = "none";
-    this.asciiCanvas.style.backgroundColor = "black";
-
-    this.asciiCtx = this.asciiCanvas.getContext("2d");
-    document.body.appendChild(this.asciiCanvas);
-
-    // Create temporary canvas for sampling
-    this.sampleCanvas = document.createElement("canvas");
-    this.sampleCtx = this.sampleCanvas.getContext("2d");
-  },
+    Object.keys(target.lights || {}).forEach((id) => {
+      const light = document.getElementById(id);
+      if (!light) return;
 
-  update: function () {
-    const webglCanvas = this.el.sceneEl.canvas;
+      const data = light.getAttribute("light") || {};
+      state.lights[id] = {
+        color: data.color,
+        groundColor: data.groundColor,
+        intensity: data.intensity,
+      };
+    });
 
-    if (this.data.enabled) {
-      this.asciiCanvas.style.display = "block";
-      // Keep WebGL canvas visible for interaction, just hide it visually
-      webglCanvas.style.opacity = "0";
-      this.setupAsciiCanvas();
-    } else {
-      this.asciiCanvas.style.display = "none";
-      webglCanvas.style.opacity = "1";
-    }
+    return state;
   },
 
-  setupAsciiCanvas: function () {
-    const fontSize = this.data.fontSize;
-    const cols = Math.floor(window.innerWidth / (fontSize * 0.6));
-    const rows = Math.floor(window.innerHeight / fontSize);
+  // Numbers lerp, colour strings lerp in linear space, objects recurse
+  blend: function (from, to, t) {
+    if (typeof to === "number") {
+      return typeof from === "number" ? from + (to - from) * t : to;
+    }
 
-    this.asciiCanvas.width = window.innerWidth;
-    this.asciiCanvas.height = window.innerHeight;
+    if (typeof to === "string") {
+      if (typeof from !== "string") return to;
+      this.colorA.set(from).lerp(this.colorB.set(to), t);
+      return `#${this.colorA.getHexString()}`;
+    }
 
-    this.sampleCanvas.width = cols;
-    this.sampleCanvas.height = rows;
+    if (to && typeof to === "object") {
+      const result = {};
+      Object.keys(to).forEach((key) => {
+        result[key] = this.blend(from && from[key], to[key], t);
+      });
+      return result;
+    }
 
-    this.cols = cols;
-    this.rows = rows;
+    return to;
   },
 
-  tick: function () {
-    if (!this.data.enabled) return;
-
-    const canvas = this.el.sceneEl.canvas;
-    const fontSize = this.data.fontSize;
-    const chars = this.data.characters;
-
-    // Sample the WebGL canvas for colors
-    this.sampleCtx.drawImage(canvas, 0, 0, this.cols, this.rows);
-    const imageData = this.sampleCtx.getImageData(0, 0, this.cols, this.rows);
-
-    // Clear ASCII canvas with dark blue background
-    this.asciiCtx.fillStyle = "#0a0a1a";
-    this.asciiCtx.fillRect(
-      0,
-      0,
-      this.asciiCanvas.width,
-      this.asciiCanvas.height,
-    );
+  apply: function (state) {
+    const scene = this.el;
 
-    // Draw ASCII characters
-    this.asciiCtx.font = `${fontSize}px monospace`;
-
-    for (let y = 0; y < this.rows; y++) {
-      for (let x = 0; x < this.cols; x++) {
-        const i = (y * this.cols + x) * 4;
-        const r = imageData.data[i];
-        const g = imageData.data[i + 1];
-        const b = imageData.data[i + 2];
-        const a = imageData.data[i + 3];
-
-        // Calculate brightness
-        const brightness = (r + g + b) / 3;
-        const charIndex = Math.floor((brightness / 255) * (chars.length - 1));
-        const char = chars[charIndex];
-
-        // Add colored tint based on original color
-        const avgColor = (r + g + b) / 3;
-        const tintR = Math.floor(r * 0.7 + avgColor * 0.3);
-        const tintG = Math.floor(g * 0.7 + avgColor * 0.3);
-        const tintB = Math.floor(b * 0.7 + avgColor * 0.3);
-
-        // Check if this is foreground (high alpha) or background
-        const isForeground = a > 10;
-
-        if (isForeground) {
-          // Draw foreground with shadow for depth
-          this.asciiCtx.fillStyle = "#000000";
-          this.asciiCtx.fillText(
-            char,
-            x * fontSize * 0.6 + 1,
-            y * fontSize + fontSize + 1,
-          );
-          this.asciiCtx.fillStyle = `rgb(${tintR}, ${tintG}, ${tintB})`;
-          this.asciiCtx.fillText(
-            char,
-            x * fontSize * 0.6,
-            y * fontSize + fontSize,
-          );
-        } else {
-          // Draw background with dimmer colors (no shadow)
-          const dimR = Math.floor(tintR * 0.4);
-          const dimG = Math.floor(tintG * 0.4);
-          const dimB = Math.floor(tintB * 0.4);
-          this.asciiCtx.fillStyle = `rgb(${dimR}, ${dimG}, ${dimB})`;
-          this.asciiCtx.fillText(
-            char,
-            x * fontSize * 0.6,
-            y * fontSize + fontSize,
-          );
-        }
-      }
-    }
-  },
+    if (state.fog) scene.setAttribute("dithered-fog", state.fog);
 
-  remove: function () {
-    if (this.asciiCanvas && this.asciiCanvas.parentNode) {
-      this.asciiCanvas.parentNode.removeChild(this.asciiCanvas);
+    if (state.sky) {
+      const sky = scene.querySelector("a-sky");
+      if (sky) sky.setAttribute("material", "color", state.sky);
     }
+
+    Object.keys(state.lights || {}).forEach((id) => {
+      const light = document.getElementById(id);
+      if (light) light.setAttribute("light", state.lights[id]);
+    });
   },
 });
 
-// In-game console system
-AFRAME.registerComponent("game-console", {
+// Register bright-sky shader
+AFRAME.registerShader("bright-sky", {
+  schema: {
+    src: { type: "map" },
+    brightness: { type: "number", default: 2.0 },
+  },
+  fragmentShader: `
+    varying vec2 vUV;
+    uniform sampler2D src;
+    uniform float brightness;
+
+    void main() {
+      vec4 color = texture2D(src, vUV);
+      gl_FragColor = vec4(color.rgb * brightness, color.a);
+    }
+  `,
+  vertexShader: `
+    varying vec2 vUV;
+    void main() {
+      vUV = uv;
+      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    }
+  `,
+});
+
+// Tracks every asset request (bytes, failures, timeouts) behind the loading
+// screen. Level pieces are fetched here and handed to the three.js loaders
+// through THREE.Cache; anything else is picked up from the default manager.
+AFRAME.registerSystem("asset-loader", {
+  schema: {
+    timeout: { type: "number", default: 30000 }, // ms without any progress
+    concurrency: { type: "int", default: 6 },
+  },
+
+  // MTL statements MTLLoader turns into textures
+  textureKeys: [
+    "map_kd",
+    "map_ks",
+    "map_ke",
+    "norm",
+    "map_bump",
+    "bump",
+    "map_d",
+  ],
+
   init: function () {
-    this.isOpen = false;
-    this.consoleHistory = [];
-    this.historyIndex = -1;
+    this.records = new Map();
+    this.probes = new Map();
+    this.queue = [];
+    this.active = 0;
+    this.pending = 0;
+    this.ready = false;
+
+    this.emitProgress = AFRAME.utils.throttle(() => {
+      this.el.emit("asset-progress", this.getSummary());
+    }, 100);
+
+    this.watchManager(THREE.DefaultLoadingManager);
+    this.el.addEventListener("loaded", () => this.checkReady());
+  },
 
-    // Create console UI
-    this.consoleDiv = document.createElement("div");
-    this.consoleDiv.id = "game-console";
-    this.consoleDiv.style.display = "none";
-    this.consoleDiv.innerHTML = `
-      <div id="console-output"></div>
-      <div id="console-input-line">
-        <span>> </span>
-        <input type="text" id="console-input" />
-      </div>
-    `;
-    document.body.appendChild(this.consoleDiv);
+  // Hold the loading screen while a source (e.g. a level) is still working
+  register: function () {
+    this.pending++;
+    this.ready = false;
+  },
 
-    this.output = document.getElementById("console-output");
-    this.input = document.getElementById("console-input");
+  sourceLoaded: function () {
+    this.pending--;
+    this.checkReady();
+  },
 
-    // Bind backtick key to toggle console
-    this.onKeyDown = (event) => {
-      if (event.key === "`") {
-        event.preventDefault();
-        this.toggle();
-      } else if (this.isOpen) {
-        // Handle command history with arrow keys
-        if (event.key === "ArrowUp") {
-          event.preventDefault();
-          if (this.historyIndex < this.consoleHistory.length - 1) {
-            this.historyIndex++;
-            this.input.value =
-              this.consoleHistory[
-                this.consoleHistory.length - 1 - this.historyIndex
-              ];
-          }
-        } else if (event.key === "ArrowDown") {
-          event.preventDefault();
-          if (this.historyIndex > 0) {
-            this.historyIndex--;
-            this.input.value =
-              this.consoleHistory[
-                this.consoleHistory.length - 1 - this.historyIndex
-              ];
-          } else if (this.historyIndex === 0) {
-            this.historyIndex = -1;
-            this.input.value = "";
-          }
-        }
+  watchManager: function (manager) {
+    const itemStart = manager.itemStart;
+    const itemEnd = manager.itemEnd;
+    const itemError = manager.itemError;
+
+    manager.itemStart = (url) => {
+      itemStart(url);
+      if (url.startsWith("data:") || url.startsWith("blob:")) return;
+      if (!this.records.has(url)) {
+        this.records.set(url, this.createRecord(url, this.typeOf(url)));
+        this.changed();
       }
     };
 
-    this.onSubmit = (event) => {
-      if (event.key === "Enter" && this.isOpen) {
-        const command = this.input.value.trim();
-        if (command) {
-          this.executeCommand(command);
-          this.consoleHistory.push(command);
-          this.historyIndex = -1;
-        }
-        this.input.value = "";
+    manager.itemEnd = (url) => {
+      itemEnd(url);
+      const record = this.records.get(url);
+      if (record && record.status === "loading") {
+        record.status = "loaded";
+        this.changed();
+        record.resolve(THREE.Cache.get(url) || null);
       }
     };
 
-    window.addEventListener("keydown", this.onKeyDown);
-    this.input.addEventListener("keydown", this.onSubmit);
+    manager.itemError = (url) => {
+      itemError(url);
+      const record = this.records.get(url);
+      console.warn(`asset-loader: failed to load ${url}`);
+      if (record && record.status !== "skipped") {
+        this.fail(record, "failed to load");
+      }
+    };
+  },
 
-    this.print("Console initialized. Type 'help' for commands.");
+  // Every URL seen so far with the given extension (e.g. "obj")
+  getUrls: function (extension) {
+    return Array.from(this.records.keys()).filter((url) =>
+      url.split("?")[0].toLowerCase().endsWith(`.${extension}`),
+    );
   },
 
-  toggle: function () {
-    this.isOpen = !this.isOpen;
-    this.consoleDiv.style.display = this.isOpen ? "block" : "none";
+  typeOf: function (url) {
+    const extension = url.split("?")[0].split(".").pop().toLowerCase();
+    if (extension === "json") return "json";
+    if (["png", "jpg", "jpeg", "webp", "gif"].includes(extension)) {
+      return "image";
+    }
+    return "text";
+  },
 
-    const fpsController = document.querySelector("[fps-controller]");
-    const camera = document.querySelector("[camera]");
+  createRecord: function (url, type) {
+    const record = {
+      url: url,
+      name: url.split("/").pop(),
+      type: type,
+      status: "loading",
+      loaded: 0,
+      total: 0,
+      error: null,
+      fetched: false, // Fetched by us (and retryable) or seen via the manager
+    };
+    record.promise = new Promise((resolve) => {
+      record.resolve = resolve;
+    });
+    return record;
+  },
 
-    if (this.isOpen) {
-      this.input.focus();
-      // Disable player controls
-      if (fpsController) {
-        fpsController.components["fps-controller"].pause();
-      }
-      if (camera) {
-        camera.setAttribute("look-controls", "enabled", false);
-      }
-    } else {
-      this.input.blur();
-      // Re-enable player controls
-      if (fpsController) {
-        fpsController.components["fps-controller"].play();
-      }
-      if (camera) {
-        camera.setAttribute("look-controls", "enabled", true);
-      }
+  // Resolves with the decoded asset once it arrives (retries included), or
+  // null if the user chose to continue without it
+  load: function (url, type) {
+    let record = this.records.get(url);
+    if (!record) {
+      record = this.createRecord(url, type || this.typeOf(url));
+      record.fetched = true;
+      record.status = "queued";
+      this.records.set(url, record);
+      this.enqueue(record);
     }
+    return record.promise;
   },
 
-  print: function (text) {
-    const line = document.createElement("div");
-    line.textContent = text;
-    this.output.appendChild(line);
-    this.output.scrollTop = this.output.scrollHeight;
+  // OBJ + MTL + every texture the MTL references. Resolves false if the
+  // model itself was skipped; missing textures only cost the texture.
+  loadModel: function (objUrl, mtlUrl) {
+    if (!mtlUrl) {
+      return this.load(objUrl, "text").then((obj) => obj !== null);
+    }
+
+    const basePath = mtlUrl.substr(0, mtlUrl.lastIndexOf("/") + 1);
+    return this.load(mtlUrl, "text").then((mtl) => {
+      if (mtl === null) return false;
+
+      const textures = this.parseTextures(mtl, basePath);
+      return Promise.all([
+        this.load(objUrl, "text"),
+        ...textures.map((url) => this.load(url, "image")),
+      ]).then(([obj]) => obj !== null);
+    });
   },
 
-  executeCommand: function (command) {
-    this.print(`> ${command}`);
+  parseTextures: function (mtl, basePath) {
+    const urls = new Set();
 
-    const parts = command.split(" ");
-    const cmd = parts[0].toLowerCase();
-    const args = parts.slice(1);
+    Object.values(this.parseMaterials(mtl)).forEach((maps) => {
+      Object.values(maps).forEach((file) => {
+        urls.add(this.resolveUrl(basePath, file));
+      });
+    });
 
-    switch (cmd) {
-      case "help":
-        this.print("Available commands:");
-        this.print("  help - Show this help");
-        this.print("  clear - Clear console");
-        this.print("  pos - Show current position");
-        this.print("  noclip - Toggle noclip mode (fly freely)");
-        this.print("  spawn <model> [x] [y] [z] - Spawn object");
-        this.print("  gamemode <edit|play> - Toggle edit mode");
-        this.print("  showcollision - Toggle collision boxes");
-        this.print("  unstuck - Teleport above map");
-        this.print("  resetsphere - Reset purple sphere to start");
-        break;
-
-      case "clear":
-        this.output.innerHTML = "";
-        break;
+    return Array.from(urls);
+  },
 
-      case "pos": {
-        const player = document.querySelector("[fps-controller]");
-        if (player) {
-          const pos = player.object3D.position;
-          this.print(
-            `Position: ${pos.x.toFixed(2)} ${pos.y.toFixed(2)} ${pos.z.toFixed(2)}`,
-          );
-        }
-        break;
+  // { material name: { map_kd: "file.png", ... } }, first statement wins
+  // like in MTLLoader
+  parseMaterials: function (mtl) {
+    const materials = {};
+    let current = null;
+
+    mtl.split("\n").forEach((line) => {
+      const tokens = line.trim().split(/\s+/);
+      const key = tokens[0].toLowerCase();
+
+      if (key === "newmtl") {
+        current = materials[tokens.slice(1).join(" ")] = {};
+        return;
       }
+      if (!current || !this.textureKeys.includes(key)) return;
 
-      case "noclip": {
-        const player = document.querySelector("[fps-controller]");
-        if (player && player.components["fps-controller"]) {
-          const controller = player.components["fps-controller"];
-          controller.noclip = !controller.noclip;
-          this.print(`Noclip: ${controller.noclip ? "ON" : "OFF"}`);
-          if (controller.noclip) {
-            this.print("Use Space to fly up, Shift to fly down");
-          }
-        }
-        break;
+      // Skip the options MTLLoader understands (-bm n, -s u v w, -o u v w)
+      let i = 1;
+      while (i < tokens.length && tokens[i].startsWith("-")) {
+        i += tokens[i] === "-bm" ? 2 : 4;
       }
 
-      case "spawn":
-        if (args.length < 1) {
-          this.print("Usage: spawn <model> [x] [y] [z]");
-          return;
-        }
+      const file = tokens.slice(i).join(" ");
+      if (file && !current[key]) current[key] = file;
+    });
 
-        const modelPath = args[0];
-        let x, y, z;
+    return materials;
+  },
 
-        if (args.length >= 4) {
-          x = parseFloat(args[1]);
-          y = parseFloat(args[2]);
-          z = parseFloat(args[3]);
-        } else {
-          // Spawn in front of player
-          const camera = document.querySelector("[camera]");
-          const cameraPos = camera.object3D.position;
-          const cameraDir = new THREE.Vector3(0, 0, -1);
-          cameraDir.applyQuaternion(camera.object3D.quaternion);
-          cameraDir.multiplyScalar(5);
+  resolveUrl: function (basePath, file) {
+    return /^https?:\/\//i.test(file) ? file : basePath + file;
+  },
 
-          x = cameraPos.x + cameraDir.x;
-          y = cameraPos.y + cameraDir.y;
-          z = cameraPos.z + cameraDir.z;
-        }
+  // HEAD check for optional assets (e.g. sibling texture maps). A miss is
+  // expected, so it is never tracked or reported as a failure.
+  exists: function (url) {
+    if (!this.probes.has(url)) {
+      this.probes.set(
+        url,
+        fetch(url, { method: "HEAD" })
+          .then((response) => {
+            // Dev servers answer unknown paths with index.html
+            const type = response.headers.get("Content-Type") || "";
+            return response.ok && !type.startsWith("text/html");
+          })
+          .catch(() => false),
+      );
+    }
+    return this.probes.get(url);
+  },
 
-        const entity = document.createElement("a-entity");
-        entity.setAttribute("obj-model", `obj: ${modelPath}`);
-        entity.setAttribute("position", `${x} ${y} ${z}`);
-        this.el.sceneEl.appendChild(entity);
+  enqueue: function (record) {
+    this.queue.push(record);
+    this.pump();
+  },
 
-        this.print(
-          `Spawned ${modelPath} at ${x.toFixed(2)} ${y.toFixed(2)} ${z.toFixed(2)}`,
-        );
-        break;
+  pump: function () {
+    while (this.active < this.data.concurrency && this.queue.length) {
+      this.active++;
+      this.request(this.queue.shift()).finally(() => {
+        this.active--;
+        this.pump();
+      });
+    }
+  },
 
-      case "gamemode":
-        if (args.length < 1) {
-          this.print("Usage: gamemode <edit|play>");
-          return;
-        }
+  request: function (record) {
+    const controller = new AbortController();
+    let timer;
 
-        const mode = args[0].toLowerCase();
-        if (mode === "edit") {
-          this.print("Edit mode enabled - not yet implemented");
-        } else if (mode === "play") {
-          this.print("Play mode enabled");
-        } else {
-          this.print("Unknown gamemode. Use 'edit' or 'play'");
+    // Only a stalled download times out, not a large one
+    const resetTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), this.data.timeout);
+    };
+
+    record.status = "loading";
+    record.loaded = 0;
+    record.error = null;
+    resetTimer();
+    this.changed();
+
+    return fetch(record.url, { signal: controller.signal })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`${response.status} ${response.statusText}`);
         }
-        break;
+        record.total = Number(response.headers.get("Content-Length")) || 0;
+        return this.readBody(response, record, resetTimer);
+      })
+      .then((bytes) => this.decode(record, bytes))
+      .then((data) => {
+        // FileLoader/ImageLoader look these up before touching the network
+        if (record.type !== "json") THREE.Cache.add(record.url, data);
+        record.status = "loaded";
+        record.total = Math.max(record.total, record.loaded);
+        this.changed();
+        record.resolve(data);
+      })
+      .catch((error) => {
+        const reason = controller.signal.aborted
+          ? `timed out after ${this.data.timeout / 1000}s`
+          : error.message;
+        console.warn(`asset-loader: failed to load ${record.url}: ${reason}`);
+        this.fail(record, reason);
+      })
+      .finally(() => clearTimeout(timer));
+  },
 
-      case "showcollision":
-        const scene = this.el.sceneEl;
-        scene.object3D.traverse((node) => {
-          if (node.el && node.el.body) {
-            const helper = new THREE.BoxHelper(node, 0x00ff00);
-            scene.object3D.add(helper);
-          }
-        });
-        this.print("Collision boxes visualized");
-        break;
+  readBody: function (response, record, onChunk) {
+    if (!response.body) {
+      return response.arrayBuffer().then((buffer) => {
+        record.loaded = buffer.byteLength;
+        return new Uint8Array(buffer);
+      });
+    }
 
-      case "unstuck": {
-        const player = document.querySelector("[fps-controller]");
-        if (player) {
-          player.object3D.position.set(48.14, 3.77, 57.19);
-          this.print("Teleported to spawn point");
+    const reader = response.body.getReader();
+    const chunks = [];
+
+    const read = () =>
+      reader.read().then(({ done, value }) => {
+        if (done) {
+          const bytes = new Uint8Array(record.loaded);
+          let offset = 0;
+          chunks.forEach((chunk) => {
+            bytes.set(chunk, offset);
+            offset += chunk.length;
+          });
+          return bytes;
         }
-        break;
+
+        chunks.push(value);
+        record.loaded += value.length;
+        onChunk();
+        this.changed();
+        return read();
+      });
+
+    return read();
+  },
+
+  decode: function (record, bytes) {
+    if (record.type === "image") {
+      // Wait for the decode so nothing pops in after the screen goes away
+      const url = URL.createObjectURL(new Blob([bytes]));
+      const image = document.createElement("img");
+      image.src = url;
+      return image
+        .decode()
+        .then(() => image)
+        .finally(() => URL.revokeObjectURL(url));
+    }
+
+    const text = new TextDecoder().decode(bytes);
+    return record.type === "json" ? JSON.parse(text) : text;
+  },
+
+  fail: function (record, reason) {
+    record.status = "error";
+    record.error = reason;
+    this.changed();
+    this.el.emit("asset-error", { url: record.url, error: reason });
+  },
+
+  retry: function () {
+    this.records.forEach((record) => {
+      if (record.status === "error" && record.fetched) {
+        record.status = "queued";
+        this.enqueue(record);
       }
+    });
+  },
 
-      case "resetsphere": {
-        const sphere = document.getElementById("purple-sphere");
-        if (sphere && sphere.body) {
-          sphere.body.position.set(47.62, 2.63, 53.6);
-          sphere.body.velocity.set(0, 0, 0);
-          sphere.body.angularVelocity.set(0, 0, 0);
-          this.print("Reset purple sphere to starting position");
-        } else {
-          this.print("Sphere not found or has no physics body");
-        }
-        break;
+  // Give up on everything that failed and let the scene carry on without it
+  skipFailed: function () {
+    this.records.forEach((record) => {
+      if (record.status === "error") {
+        record.status = "skipped";
+        record.resolve(null);
+      }
+    });
+    this.changed();
+  },
+
+  getSummary: function () {
+    const summary = {
+      bytesLoaded: 0,
+      bytesTotal: 0,
+      filesLoaded: 0,
+      filesTotal: this.records.size,
+      active: [],
+      failed: [],
+    };
+
+    this.records.forEach((record) => {
+      summary.bytesLoaded += record.loaded;
+      summary.bytesTotal += Math.max(record.total, record.loaded);
+      if (record.status === "loaded" || record.status === "skipped") {
+        summary.filesLoaded++;
+      } else if (record.status === "error") {
+        summary.failed.push(record);
+      } else if (record.status === "loading") {
+        summary.active.push(record);
       }
+    });
+
+    return summary;
+  },
 
-      default:
-        this.print(`Unknown command: ${cmd}`);
-        this.print("Type 'help' for a list of commands");
+  changed: function () {
+    this.emitProgress();
+    this.checkReady();
+  },
+
+  checkReady: function () {
+    if (this.ready || this.pending > 0 || !this.el.hasLoaded) return;
+
+    for (const record of this.records.values()) {
+      if (record.status !== "loaded" && record.status !== "skipped") return;
     }
+
+    this.ready = true;
+    this.el.emit("asset-progress", this.getSummary());
+    this.el.emit("assets-ready");
   },
+});
 
-  pause: function () {
-    // Disable key handling when paused
+// Static level geometry the walking controller collides against
+AFRAME.registerSystem("collision-mesh", {
+  init: function () {
+    this.octree = new Octree();
+    this.objects = new Set();
+    this.pending = 0;
+    this.ready = false;
+
+    this.el.addEventListener("loaded", () => this.checkReady());
   },
 
-  play: function () {
-    // Re-enable key handling when unpaused
+  register: function () {
+    this.pending++;
   },
 
-  remove: function () {
-    window.removeEventListener("keydown", this.onKeyDown);
-    this.input.removeEventListener("keydown", this.onSubmit);
-    if (this.consoleDiv && this.consoleDiv.parentNode) {
-      this.consoleDiv.parentNode.removeChild(this.consoleDiv);
+  addObject: function (object3D) {
+    // Each build only splits the newly added triangles into the tree
+    this.objects.add(object3D);
+    this.octree.fromGraphNode(object3D);
+  },
+
+  removeObject: function (object3D) {
+    this.objects.delete(object3D);
+  },
+
+  // The tree can't move or drop triangles, so after the editor has moved or
+  // deleted geometry start over from everything still registered
+  rebuild: function () {
+    this.octree = new Octree();
+    this.objects.forEach((object3D) => {
+      object3D.updateWorldMatrix(true, true);
+      this.octree.fromGraphNode(object3D);
+    });
+  },
+
+  sourceLoaded: function () {
+    this.pending--;
+    this.checkReady();
+  },
+
+  checkReady: function () {
+    // Runtime additions don't hold the player again once the level is in
+    if (this.pending <= 0 && !this.ready) {
+      this.ready = true;
+      this.el.emit("collision-world-ready");
     }
   },
-});
+});
+
+// Feeds the obj-model meshes under an entity into the collision world
+AFRAME.registerComponent("collision-mesh", {
+  init: function () {
+    const el = this.el;
+
+    // Count the models we have to wait for (on this entity or below it)
+    this.remaining = el.querySelectorAll("[obj-model]").length;
+    if (el.hasAttribute("obj-model")) this.remaining++;
+    this.done = false;
+    this.objects = [];
+
+    this.system.register();
+
+    this.onModelLoaded = (event) => {
+      if (this.done) return;
+      this.addObject(event.detail.model);
+      this.remaining--;
+      if (this.remaining <= 0) this.finish();
+    };
+    el.addEventListener("model-loaded", this.onModelLoaded);
+
+    // Plain geometry (no models) can be collected once the scene is up
+    if (this.remaining === 0) {
+      const collect = () => {
+        this.addObject(el.object3D);
+        this.finish();
+      };
+      if (el.sceneEl.hasLoaded) {
+        collect();
+      } else {
+        el.sceneEl.addEventListener("loaded", collect, { once: true });
+      }
+    }
+  },
+
+  addObject: function (object3D) {
+    this.objects.push(object3D);
+    this.system.addObject(object3D);
+  },
+
+  finish: function () {
+    this.done = true;
+    this.system.sourceLoaded();
+  },
+
+  remove: function () {
+    this.el.removeEventListener("model-loaded", this.onModelLoaded);
+    this.objects.forEach((object3D) => this.system.removeObject(object3D));
+    if (!this.done) this.finish();
+  },
+});
+
+// First-person controller: capsule walking against collision-mesh geometry,
+// with noclip flying as an opt-in toggle. Driven by input-actions, plus
+// moveInput for analog inputs outside it (XR thumbsticks). On a screen the
+// entity sits at eye height; in a headset it drops to the feet, since the
+// headset adds the wearer's own height.
+AFRAME.registerComponent("fps-controller", {
+  schema: {
+    speed: { type: "number", default: 5 },
+    jumpForce: { type: "number", default: 5 },
+    crouchHeight: { type: "number", default: 0.8 },
+    standHeight: { type: "number", default: 1.6 },
+    radius: { type: "number", default: 0.35 },
+    gravity: { type: "number", default: 20 },
+    stepHeight: { type: "number", default: 0.35 },
+    maxSlope: { type: "number", default: 45 }, // Degrees
+    noclip: { type: "boolean", default: false },
+  },
+
+  init: function () {
+    this.isCrouching = false;
+    this.hasLanded = false;
+    this.isPaused = false;
+    this.onGround = false;
+    this.headset = false;
+
+    this.velocity = new THREE.Vector3();
+    // -1 to 1 per axis: x right, y up (noclip only), z back
+    this.moveInput = new THREE.Vector3();
+    this.forward = new THREE.Vector3();
+    this.spawnPoint = this.el.object3D.position.clone();
+
+    // Collision capsule, rebuilt from the entity position every tick
+    this.capsule = new Capsule(new THREE.Vector3(), new THREE.Vector3(), 0.35);
+    this.startCapsule = new Capsule();
+    this.probeCapsule = new Capsule();
+    this.moveStep = new THREE.Vector3();
+    this.stepMove = new THREE.Vector3();
+    this.groundRay = new THREE.Ray();
+    this.groundNormal = new THREE.Vector3();
+    this.down = new THREE.Vector3(0, -1, 0);
+
+    this.onActionDown = (event) => {
+      if (this.isPaused) return;
+
+      // Jump (skipped in noclip mode, where it flies up)
+      if (event.detail.action === "jump") this.jump();
+
+      // Toggle crouch, staying down while something is overhead
+      if (event.detail.action === "crouch") {
+        if (!this.isCrouching || this.data.noclip || this.canStand()) {
+          this.isCrouching = !this.isCrouching;
+        }
+      }
+    };
+
+    this.onEnterVR = () => {
+      this.setHeadset(this.el.sceneEl.renderer.xr.isPresenting);
+    };
+    this.onExitVR = () => this.setHeadset(false);
+
+    this.el.sceneEl.addEventListener("action-down", this.onActionDown);
+    this.el.sceneEl.addEventListener("enter-vr", this.onEnterVR);
+    this.el.sceneEl.addEventListener("exit-vr", this.onExitVR);
+  },
+
+  update: function (oldData) {
+    this.capsule.radius = this.data.radius;
+    this.startCapsule.radius = this.data.radius;
+    this.probeCapsule.radius = this.data.radius;
+    this.minGroundNormal = Math.cos(
+      THREE.MathUtils.degToRad(this.data.maxSlope),
+    );
+
+    // Don't carry flying momentum into walk mode (or the other way round)
+    if (oldData.noclip !== this.data.noclip) {
+      this.velocity.set(0, 0, 0);
+      this.onGround = false;
+    }
+  },
+
+  tick: function (time, timeDelta) {
+    const el = this.el;
+
+    // Trigger landing event for loading screen
+    if (!this.hasLanded) {
+      const position = el.object3D.position;
+      // Player starts at Y=3.77, so trigger immediately
+      if (position.y <= 10) {
+        this.hasLanded = true;
+        this.el.sceneEl.emit("player-landed");
+      }
+    }
+
+    if (this.isPaused) {
+      return;
+    }
+
+    const cameraEl = el.querySelector("[camera]");
+
+    // Clamp so a background tab doesn't tunnel us through the floor
+    const delta = Math.min(timeDelta / 1000, 0.1);
+    const moveVector = new THREE.Vector3();
+
+    // Movement speed (slower when crouching, faster in noclip)
+    let currentSpeed = this.isCrouching
+      ? this.data.speed * 0.5
+      : this.data.speed;
+
+    // Make noclip faster
+    if (this.data.noclip) {
+      currentSpeed = this.data.speed * 3; // 3x speed in noclip
+    }
+
+    // Horizontal movement
+    const input = el.sceneEl.systems["input-actions"];
+    moveVector.x += input.getAxis("left", "right") * currentSpeed;
+    moveVector.z += input.getAxis("forward", "back") * currentSpeed;
+    moveVector.x += this.moveInput.x * currentSpeed;
+    moveVector.z += this.moveInput.z * currentSpeed;
+
+    // Apply camera rotation to horizontal movement only
+    const horizontalMovement = new THREE.Vector3(moveVector.x, 0, moveVector.z);
+    horizontalMovement.applyEuler(new THREE.Euler(0, this.getYaw(cameraEl), 0));
+
+    if (this.data.noclip) {
+      // Vertical movement (applied separately to preserve world-space up/down)
+      let verticalMovement = input.getAxis("descend", "jump") * currentSpeed;
+      verticalMovement += this.moveInput.y * currentSpeed;
+
+      // Noclip mode - free movement, no collision
+      const position = el.object3D.position;
+      position.x += horizontalMovement.x * delta;
+      position.y += verticalMovement * delta;
+      position.z += horizontalMovement.z * delta;
+    } else {
+      this.walk(horizontalMovement, delta);
+    }
+
+    // Smooth camera height transition (in a headset you crouch yourself)
+    if (cameraEl && !this.headset) {
+      const targetHeight = this.isCrouching
+        ? this.data.crouchHeight - this.data.standHeight
+        : 0;
+      const currentCamY = cameraEl.object3D.position.y;
+      cameraEl.object3D.position.y += (targetHeight - currentCamY) * delta * 5;
+    }
+  },
+
+  walk: function (wishVelocity, delta) {
+    const collision = this.el.sceneEl.systems["collision-mesh"];
+    const position = this.el.object3D.position;
+
+    // Hold the player in place until the level geometry is in
+    if (!collision.ready) return;
+
+    // Fixed-size substeps keep fast falls from skipping thin floors
+    const steps = Math.min(Math.ceil(delta / 0.016), 6) || 1;
+    for (let i = 0; i < steps; i++) {
+      this.walkStep(wishVelocity, delta / steps, collision.octree);
+    }
+
+    // Fell out of the world - put the player back at spawn
+    if (position.y < this.spawnPoint.y - 100) {
+      position.copy(this.spawnPoint);
+      position.y -= this.data.standHeight - this.getRigHeight();
+      this.velocity.set(0, 0, 0);
+    }
+  },
+
+  walkStep: function (wishVelocity, dt, octree) {
+    const data = this.data;
+    const velocity = this.velocity;
+    const position = this.el.object3D.position;
+
+    // Full control on the ground, a little in the air
+    const blend = Math.min(1, (this.onGround ? 10 : 2) * dt);
+    velocity.x += (wishVelocity.x - velocity.x) * blend;
+    velocity.z += (wishVelocity.z - velocity.z) * blend;
+    velocity.y -= data.gravity * dt;
+
+    this.setCapsule(this.capsule, position, this.isCrouching);
+    this.startCapsule.copy(this.capsule);
+
+    const wasOnGround = this.onGround;
+    this.stepMove.set(velocity.x * dt, 0, velocity.z * dt);
+    this.capsule.translate(this.moveStep.copy(velocity).multiplyScalar(dt));
+
+    const hit = this.resolveCollisions(octree);
+
+    if (wasOnGround) {
+      if (hit) this.tryStepUp(octree);
+      if (!this.onGround) this.snapToGround(octree, data.stepHeight);
+    }
+
+    // Capsule bottom is the player's feet
+    position.x = this.capsule.start.x;
+    position.y = this.capsule.start.y - data.radius + this.getRigHeight();
+    position.z = this.capsule.start.z;
+  },
+
+  setCapsule: function (capsule, position, crouching) {
+    const data = this.data;
+    const feet = position.y - this.getRigHeight();
+    const height = crouching ? data.crouchHeight : data.standHeight;
+
+    capsule.start.set(position.x, feet + data.radius, position.z);
+    capsule.end.set(
+      position.x,
+      Math.max(feet + height, feet + data.radius),
+      position.z,
+    );
+  },
+
+  resolveCollisions: function (octree) {
+    this.onGround = false;
+
+    const result = octree.capsuleIntersect(this.capsule);
+    if (!result) return false;
+
+    this.onGround = result.normal.y >= this.minGroundNormal;
+
+    if (this.onGround) {
+      if (this.velocity.y < 0) this.velocity.y = 0;
+    } else {
+      // Slide along walls and steep slopes, without being pushed up them
+      const verticalSpeed = this.velocity.y;
+      this.velocity.addScaledVector(
+        result.normal,
+        -result.normal.dot(this.velocity),
+      );
+      this.velocity.y = Math.min(this.velocity.y, Math.max(verticalSpeed, 0));
+    }
+
+    if (result.depth >= 1e-10) {
+      this.capsule.translate(result.normal.multiplyScalar(result.depth));
+    }
+    return true;
+  },
+
+  tryStepUp: function (octree) {
+    const probe = this.probeCapsule;
+    const from = this.startCapsule.start;
+
+    // Redo the horizontal part of the move from stepHeight higher up
+    probe.copy(this.startCapsule);
+    probe.translate(this.moveStep.set(0, this.data.stepHeight, 0));
+    probe.translate(this.stepMove);
+
+    if (octree.capsuleIntersect(probe)) return;
+
+    // Only take the step if it gets us further than the blocked move did
+    const stepped = Math.hypot(probe.start.x - from.x, probe.start.z - from.z);
+    const walked = Math.hypot(
+      this.capsule.start.x - from.x,
+      this.capsule.start.z - from.z,
+    );
+    if (stepped <= walked + 1e-4) return;
+
+    // Look down just ahead of the capsule: a steep slope isn't a step
+    const ray = this.groundRay;
+    ray.direction.copy(this.stepMove).normalize();
+    ray.origin.copy(probe.start).addScaledVector(ray.direction, probe.radius);
+    ray.direction.copy(this.down);
+    const top = octree.rayIntersect(ray);
+    if (!top || top.distance > probe.radius + this.data.stepHeight) return;
+    top.triangle.getNormal(this.groundNormal);
+    if (Math.abs(this.groundNormal.y) < this.minGroundNormal) return;
+
+    // Lower back down in small increments until we rest on the step
+    const increment = this.data.stepHeight / 4;
+    for (let i = 0; i < 4; i++) {
+      probe.translate(this.moveStep.set(0, -increment, 0));
+      const result = octree.capsuleIntersect(probe);
+      if (result) {
+        // Push straight up so the step doesn't shove us back off its edge
+        const lift = result.depth / Math.max(result.normal.y, 0.5);
+        probe.translate(this.moveStep.set(0, lift, 0));
+        this.capsule.copy(probe);
+        this.velocity.y = 0;
+        this.onGround = true;
+        return;
+      }
+    }
+
+    // Nothing under the raised position - carry on from there
+    this.capsule.copy(probe);
+    this.snapToGround(octree, this.data.stepHeight);
+  },
+
+  snapToGround: function (octree, maxDrop) {
+    const capsule = this.capsule;
+
+    // Follow the floor down stairs and ramps instead of launching off them
+    this.groundRay.set(capsule.start, this.down);
+    const hit = octree.rayIntersect(this.groundRay);
+    if (!hit) return;
+
+    hit.triangle.getNormal(this.groundNormal);
+    const slope = Math.abs(this.groundNormal.y);
+    if (slope < this.minGroundNormal) return;
+
+    const gap = hit.distance - this.data.radius / slope;
+    if (gap > maxDrop) return;
+
+    capsule.translate(this.moveStep.set(0, -gap, 0));
+    this.velocity.y = 0;
+    this.onGround = true;
+  },
+
+  jump: function () {
+    if (this.data.noclip || !this.onGround || this.isPaused) return;
+    this.velocity.y = this.data.jumpForce;
+    this.onGround = false;
+  },
+
+  // How far above the feet the entity sits
+  getRigHeight: function () {
+    return this.headset ? 0 : this.data.standHeight;
+  },
+
+  // The heading movement follows: the look yaw on a screen, where the head
+  // points (rig turns included) in a headset
+  getYaw: function (cameraEl) {
+    if (this.headset) {
+      this.el.sceneEl.camera.getWorldDirection(this.forward);
+      return Math.atan2(-this.forward.x, -this.forward.z);
+    }
+    return (cameraEl || this.el).object3D.rotation.y;
+  },
+
+  setHeadset: function (headset) {
+    if (headset === this.headset) return;
+
+    this.headset = headset;
+    this.el.object3D.position.y += headset
+      ? -this.data.standHeight
+      : this.data.standHeight;
+
+    // The crouch offset belongs to the screen camera
+    const cameraEl = this.el.querySelector("[camera]");
+    if (cameraEl) cameraEl.object3D.position.y = 0;
+    this.isCrouching = false;
+  },
+
+  canStand: function () {
+    const collision = this.el.sceneEl.systems["collision-mesh"];
+    if (!collision.ready) return true;
+
+    this.setCapsule(this.probeCapsule, this.el.object3D.position, false);
+    return !collision.octree.capsuleIntersect(this.probeCapsule);
+  },
+
+  pause: function () {
+    this.isPaused = true;
+    this.moveInput.set(0, 0, 0);
+  },
+
+  play: function () {
+    this.isPaused = false;
+  },
+
+  remove: function () {
+    this.el.sceneEl.removeEventListener("action-down", this.onActionDown);
+    this.el.sceneEl.removeEventListener("enter-vr", this.onEnterVR);
+    this.el.sceneEl.removeEventListener("exit-vr", this.onExitVR);
+  },
+});
+
+// A tracked controller or hand. Trigger grabs what its laser points at and
+// holds it out at that distance; grip (or a pinch, with hand tracking)
+// grabs what's within reach and holds it in the hand. Both go through
+// clickable-physics, so whatever the mouse can drag the hands can too.
+AFRAME.registerComponent("xr-hand", {
+  schema: {
+    hand: { default: "left", oneOf: ["left", "right"] },
+    reach: { type: "number", default: 0.3 },
+  },
+
+  init: function () {
+    this.held = null; // The clickable-physics component being held
+    this.distance = 0; // Along the laser; 0 = in the hand
+    this.handPosition = new THREE.Vector3();
+    this.box = new THREE.Box3();
+
+    this.onLaserGrab = () => this.laserGrab();
+    this.onHandGrab = (event) => {
+      this.handGrab(event.detail && event.detail.position);
+    };
+    this.onPinchMoved = (event) => {
+      this.setPinchPosition(event.detail.position);
+    };
+    this.onRelease = () => this.release();
+
+    this.el.addEventListener("triggerdown", this.onLaserGrab);
+    this.el.addEventListener("triggerup", this.onRelease);
+    this.el.addEventListener("gripdown", this.onHandGrab);
+    this.el.addEventListener("gripup", this.onRelease);
+    this.el.addEventListener("pinchstarted", this.onHandGrab);
+    this.el.addEventListener("pinchmoved", this.onPinchMoved);
+    this.el.addEventListener("pinchended", this.onRelease);
+  },
+
+  laserGrab: function () {
+    const raycaster = this.el.components.raycaster;
+    const intersection = raycaster && raycaster.intersections[0];
+    if (!intersection) return;
+
+    const target = intersection.object.el;
+    const el = target && target.closest("[clickable-physics]");
+    if (el)
+      this.grab(el.components["clickable-physics"], intersection.distance);
+  },
+
+  // Pinches report where they happen; grips are at the controller
+  handGrab: function (position) {
+    if (position) {
+      this.setPinchPosition(position);
+    } else {
+      this.el.object3D.getWorldPosition(this.handPosition);
+    }
+
+    let nearest = null;
+    let nearestDistance = this.data.reach;
+    this.el.sceneEl.querySelectorAll("[clickable-physics]").forEach((el) => {
+      const distance = this.box
+        .setFromObject(el.object3D)
+        .distanceToPoint(this.handPosition);
+      if (distance <= nearestDistance) {
+        nearest = el;
+        nearestDistance = distance;
+      }
+    });
+
+    if (nearest) this.grab(nearest.components["clickable-physics"], 0);
+  },
+
+  // Pinch positions are in XR reference space, which is the rig's own
+  setPinchPosition: function (position) {
+    this.handPosition.copy(position);
+    this.el.object3D.parent.localToWorld(this.handPosition);
+  },
+
+  grab: function (component, distance) {
+    if (!component || component.isGrabbed) return;
+
+    this.release();
+    this.held = component;
+    this.distance = distance;
+    component.grab(this);
+  },
+
+  release: function () {
+    if (this.held) this.held.release(this);
+    this.held = null;
+  },
+
+  tick: function () {
+    const held = this.held;
+    if (!held) return;
+
+    // Someone else took it
+    if (held.holder !== this) {
+      this.held = null;
+      return;
+    }
+
+    if (this.distance > 0) {
+      const ray = this.el.components.raycaster.raycaster.ray;
+      held.targetPosition
+        .copy(ray.direction)
+        .multiplyScalar(this.distance)
+        .add(ray.origin);
+    } else {
+      if (!this.el.components["hand-tracking-controls"]) {
+        this.el.object3D.getWorldPosition(this.handPosition);
+      }
+      held.targetPosition.copy(this.handPosition);
+    }
+  },
+
+  remove: function () {
+    this.release();
+    this.el.removeEventListener("triggerdown", this.onLaserGrab);
+    this.el.removeEventListener("triggerup", this.onRelease);
+    this.el.removeEventListener("gripdown", this.onHandGrab);
+    this.el.removeEventListener("gripup", this.onRelease);
+    this.el.removeEventListener("pinchstarted", this.onHandGrab);
+    this.el.removeEventListener("pinchmoved", this.onPinchMoved);
+    this.el.removeEventListener("pinchended", this.onRelease);
+  },
+});
+
+// Thumbstick locomotion for the fps-controller rig while in a headset. The
+// move stick either walks (through the controller, so collisions, gravity
+// and noclip all still apply) or aims a teleport arc that lands on release.
+// The other stick turns, in snaps or smoothly, and in noclip its y flies up
+// and down. A/X jumps.
+AFRAME.registerComponent("xr-locomotion", {
+  schema: {
+    mode: { default: "smooth", oneOf: ["smooth", "teleport"] },
+    turn: { default: "snap", oneOf: ["snap", "smooth"] },
+    moveHand: { default: "left", oneOf: ["left", "right"] },
+    snapAngle: { type: "number", default: 30 }, // Degrees
+    turnSpeed: { type: "number", default: 120 }, // Degrees per second
+    deadZone: { type: "number", default: 0.2 },
+    teleportSpeed: { type: "number", default: 8 }, // Launch speed of the arc
+  },
+
+  init: function () {
+    this.sticks = { left: new THREE.Vector2(), right: new THREE.Vector2() };
+    this.move = new THREE.Vector2();
+    this.turn = new THREE.Vector2();
+    this.snapReady = true;
+    this.aiming = false;
+    this.target = null; // Where the teleport arc landed, if it's valid
+
+    this.ray = new THREE.Ray();
+    this.point = new THREE.Vector3();
+    this.next = new THREE.Vector3();
+    this.launch = new THREE.Vector3();
+    this.normal = new THREE.Vector3();
+    this.head = new THREE.Vector3();
+    this.offset = new THREE.Vector3();
+    this.up = new THREE.Vector3(0, 1, 0);
+
+    this.arcPoints = 40;
+    this.arc = new THREE.Line(
+      new THREE.BufferGeometry().setAttribute(
+        "position",
+        new THREE.BufferAttribute(new Float32Array(this.arcPoints * 3), 3),
+      ),
+      new THREE.LineBasicMaterial({ color: "#8cff8c" }),
+    );
+    this.arc.frustumCulled = false;
+    this.arc.visible = false;
+
+    this.marker = new THREE.Mesh(
+      new THREE.RingGeometry(0.25, 0.32, 32).rotateX(-Math.PI / 2),
+      new THREE.MeshBasicMaterial({ color: "#8cff8c", side: THREE.DoubleSide }),
+    );
+    this.marker.visible = false;
+
+    this.el.sceneEl.object3D.add(this.arc, this.marker);
+
+    this.onThumbstick = (event) => {
+      const hand = this.getHand(event.target);
+      if (hand) this.sticks[hand].set(event.detail.x, event.detail.y);
+    };
+    this.onJump = () => this.getController().jump();
+    this.onExitVR = () => this.reset();
+
+    this.el.addEventListener("thumbstickmoved", this.onThumbstick);
+    this.el.addEventListener("abuttondown", this.onJump);
+    this.el.addEventListener("xbuttondown", this.onJump);
+    this.el.sceneEl.addEventListener("exit-vr", this.onExitVR);
+  },
+
+  update: function (oldData) {
+    if (oldData.mode && oldData.mode !== this.data.mode) this.reset();
+  },
+
+  getController: function () {
+    return this.el.components["fps-controller"];
+  },
+
+  getHand: function (el) {
+    const hand = el.components && el.components["xr-hand"];
+    return hand ? hand.data.hand : null;
+  },
+
+  // The controller (rather than tracked hand) the arc comes out of
+  getHandEl: function (hand) {
+    const els = this.el.querySelectorAll("[xr-hand][laser-controls]");
+    return Array.from(els).find((el) => this.getHand(el) === hand) || null;
+  },
+
+  // Rescales past the dead zone so movement starts from zero
+  applyDeadZone: function (stick, out) {
+    const length = stick.length();
+    const deadZone = this.data.deadZone;
+    if (length <= deadZone) return out.set(0, 0);
+
+    const scale = Math.min(1, (length - deadZone) / (1 - deadZone)) / length;
+    return out.copy(stick).multiplyScalar(scale);
+  },
+
+  reset: function () {
+    const controller = this.getController();
+    if (controller) controller.moveInput.set(0, 0, 0);
+    this.sticks.left.set(0, 0);
+    this.sticks.right.set(0, 0);
+    this.aiming = false;
+    this.target = null;
+    this.arc.visible = false;
+    this.marker.visible = false;
+  },
+
+  tick: function (time, delta) {
+    const controller = this.getController();
+    if (!controller || !controller.headset) return;
+
+    const data = this.data;
+    const turnHand = data.moveHand === "left" ? "right" : "left";
+    const move = this.applyDeadZone(this.sticks[data.moveHand], this.move);
+    const turn = this.applyDeadZone(this.sticks[turnHand], this.turn);
+
+    if (controller.isPaused) {
+      move.set(0, 0);
+      turn.set(0, 0);
+    }
+
+    // Stick forward is -y, same as the controller's -z forward
+    if (data.mode === "smooth") {
+      controller.moveInput.set(move.x, 0, move.y);
+    } else {
+      controller.moveInput.set(0, 0, 0);
+      this.updateTeleport(move);
+    }
+    controller.moveInput.y = controller.data.noclip ? -turn.y : 0;
+
+    if (data.turn === "snap") {
+      if (this.snapReady && Math.abs(turn.x) > 0.7) {
+        this.rotate(
+          -Math.sign(turn.x) * THREE.MathUtils.degToRad(data.snapAngle),
+        );
+        this.snapReady = false;
+      } else if (Math.abs(turn.x) < 0.3) {
+        this.snapReady = true;
+      }
+    } else if (turn.x !== 0) {
+      const speed = THREE.MathUtils.degToRad(data.turnSpeed);
+      this.rotate(-turn.x * speed * (delta / 1000));
+    }
+  },
+
+  // Turns the rig about the head rather than its own origin, which can be
+  // a couple of metres away in room scale
+  rotate: function (angle) {
+    const object3D = this.el.object3D;
+
+    this.el.sceneEl.camera.getWorldPosition(this.head);
+    this.offset.subVectors(this.head, object3D.position).setY(0);
+    object3D.position.add(this.offset);
+    object3D.position.sub(this.offset.applyAxisAngle(this.up, angle));
+    object3D.rotation.y += angle;
+  },
+
+  // Aims while the stick is pushed forward, teleports once it's let go
+  updateTeleport: function (move) {
+    if (move.y < -0.5) {
+      this.aiming = true;
+      this.updateArc();
+      return;
+    }
+    if (!this.aiming || move.lengthSq() > 0) return;
+
+    if (this.target) this.teleport(this.target);
+    this.aiming = false;
+    this.target = null;
+    this.arc.visible = false;
+    this.marker.visible = false;
+  },
+
+  // A ballistic arc out of the controller, walked in short segments against
+  // the collision mesh. Walking lands only on ground the controller could
+  // stand on; noclip lands on anything.
+  updateArc: function () {
+    const handEl = this.getHandEl(this.data.moveHand);
+    const collision = this.el.sceneEl.systems["collision-mesh"];
+    const controller = this.getController();
+    if (!handEl || !collision.ready) return;
+
+    const positions = this.arc.geometry.attributes.position;
+    const step = 0.03; // Seconds per segment
+    const matrixWorld = handEl.object3D.matrixWorld;
+
+    this.point.setFromMatrixPosition(matrixWorld);
+    this.launch
+      .set(0, 0, -1)
+      .transformDirection(matrixWorld)
+      .multiplyScalar(this.data.teleportSpeed);
+    positions.setXYZ(0, this.point.x, this.point.y, this.point.z);
+
+    let count = 1;
+    let hit = null;
+    while (count < this.arcPoints && !hit) {
+      this.next.copy(this.point).addScaledVector(this.launch, step);
+      this.launch.y -= 9.8 * step;
+
+      const length = this.next.distanceTo(this.point);
+      this.ray.origin.copy(this.point);
+      this.ray.direction.subVectors(this.next, this.point).normalize();
+      const result = collision.octree.rayIntersect(this.ray);
+      if (result && result.distance <= length) {
+        hit = result;
+        this.next.copy(result.position);
+      }
+
+      positions.setXYZ(count++, this.next.x, this.next.y, this.next.z);
+      this.point.copy(this.next);
+    }
+    positions.needsUpdate = true;
+    this.arc.geometry.setDrawRange(0, count);
+
+    this.target = null;
+    if (hit) {
+      hit.triangle.getNormal(this.normal);
+      if (controller.data.noclip) {
+        this.target = hit.position.addScaledVector(
+          this.normal,
+          controller.data.radius,
+        );
+      } else if (this.normal.y >= controller.minGroundNormal) {
+        this.target = hit.position;
+      }
+    }
+
+    const color = this.target ? "#8cff8c" : "#ff6b6b";
+    this.arc.material.color.set(color);
+    this.marker.material.color.set(color);
+    this.arc.visible = true;
+    this.marker.visible = !!hit;
+    if (hit) this.marker.position.copy(hit.position);
+  },
+
+  // Lands the head (not the rig origin) over the target
+  teleport: function (target) {
+    const controller = this.getController();
+    const position = this.el.object3D.position;
+
+    this.el.sceneEl.camera.getWorldPosition(this.head);
+    target.x -= this.head.x - position.x;
+    target.z -= this.head.z - position.z;
+
+    // Waypoint teleports take eye height
+    target.y += controller.data.standHeight;
+    this.el.sceneEl.systems.waypoints.teleport(target);
+  },
+
+  remove: function () {
+    this.reset();
+    this.el.sceneEl.object3D.remove(this.arc, this.marker);
+    this.arc.geometry.dispose();
+    this.arc.material.dispose();
+    this.marker.geometry.dispose();
+    this.marker.material.dispose();
+    this.el.removeEventListener("thumbstickmoved", this.onThumbstick);
+    this.el.removeEventListener("abuttondown", this.onJump);
+    this.el.removeEventListener("xbuttondown", this.onJump);
+    this.el.sceneEl.removeEventListener("exit-vr", this.onExitVR);
+  },
+});
+
+// Post-processing: effects register here by name and are composed in order.
+// The scene goes into a render target and through every enabled effect, the
+// last one drawing to the canvas (or the XR layer).
+//
+// An effect is { name, order, component, render(postfx, input, output) }.
+// component is the one holding its enabled flag and parameters, so the
+// attribute, the inspector and this API always agree. render must leave its
+// result in output (null means the screen).
+AFRAME.registerSystem("postfx", {
+  init: function () {
+    const renderer = this.el.renderer;
+    const antialias = renderer.getContext().getContextAttributes().antialias;
+
+    this.effects = [];
+    this.rendering = false;
+    this.size = new THREE.Vector2();
+
+    // Half float so the effects don't band the dark fog
+    this.sceneTarget = new THREE.WebGLRenderTarget(1, 1, {
+      type: THREE.HalfFloatType,
+      samples: antialias ? 4 : 0,
+    });
+    this.targets = [this.sceneTarget];
+    for (let i = 0; i < 2; i++) {
+      this.targets.push(
+        new THREE.WebGLRenderTarget(1, 1, {
+          type: THREE.HalfFloatType,
+          depthBuffer: false,
+        }),
+      );
+    }
+
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2));
+    this.quad.frustumCulled = false;
+
+    // a-scene calls renderer.render once per frame; take over that one call
+    // while any effect is on and leave every other render alone
+    const render = renderer.render.bind(renderer);
+    this.renderScene = render;
+    renderer.render = (scene, camera) => {
+      const target = renderer.getRenderTarget();
+      const effects = this.effects.filter(
+        (effect) => effect.component.data.enabled,
+      );
+
+      if (
+        this.rendering ||
+        scene !== this.el.object3D ||
+        effects.length === 0 ||
+        (target !== null && !target.isXRRenderTarget)
+      ) {
+        render(scene, camera);
+        return;
+      }
+
+      this.rendering = true;
+      this.render(scene, camera, effects);
+      this.rendering = false;
+    };
+  },
+
+  register: function (effect) {
+    if (this.get(effect.name)) {
+      console.warn(`postfx: effect "${effect.name}" is already registered`);
+    }
+
+    this.effects.push(effect);
+    // Stable, so equal orders keep the order they were registered in
+    this.effects.sort((a, b) => a.order - b.order);
+    this.changed(effect);
+    return effect;
+  },
+
+  unregister: function (effect) {
+    const index = this.effects.indexOf(effect);
+    if (index === -1) return;
+    this.effects.splice(index, 1);
+    this.changed(effect);
+  },
+
+  get: function (name) {
+    return this.effects.find((effect) => effect.name === name) || null;
+  },
+
+  enable: function (name, enabled) {
+    return this.setParams(name, { enabled: enabled !== false });
+  },
+
+  disable: function (name) {
+    return this.enable(name, false);
+  },
+
+  // Goes through the owning component, so values are parsed by its schema
+  setParams: function (name, params) {
+    const effect = this.get(name);
+    if (!effect) {
+      console.warn(`postfx: unknown effect "${name}"`);
+      return false;
+    }
+
+    effect.component.el.setAttribute(effect.component.attrName, params);
+    return true;
+  },
+
+  // [{ name, order, enabled, params }] in composition order
+  list: function () {
+    return this.effects.map((effect) => {
+      const params = Object.assign({}, effect.component.data);
+      delete params.enabled;
+
+      return {
+        name: effect.name,
+        order: effect.order,
+        enabled: effect.component.data.enabled,
+        params: params,
+      };
+    });
+  },
+
+  // Effects call this after their data changes so UIs can follow along
+  changed: function (effect) {
+    this.el.emit("postfx-changed", { name: effect.name });
+  },
+
+  render: function (scene, camera, effects) {
+    const renderer = this.el.renderer;
+    // The canvas (null), or in XR the framebuffer three has already bound
+    const target = renderer.getRenderTarget();
+    this.updateSize();
+
+    // In XR this still goes through the stereo camera, so the target ends up
+    // with both eyes side by side just like the XR framebuffer
+    renderer.setRenderTarget(this.sceneTarget);
+    this.renderScene(scene, camera);
+
+    // Fullscreen quads have to use our camera, not the XR one
+    const xrEnabled = renderer.xr.enabled;
+    renderer.xr.enabled = false;
+
+    let input = this.sceneTarget;
+    effects.forEach((effect, i) => {
+      const output = i === effects.length - 1 ? target : this.getScratch(input);
+      effect.render(this, input, output);
+      input = output;
+    });
+
+    renderer.xr.enabled = xrEnabled;
+    renderer.setRenderTarget(target);
+  },
+
+  updateSize: function () {
+    const renderer = this.el.renderer;
+
+    if (renderer.xr.isPresenting) {
+      const target = renderer.xr.getRenderTarget();
+      this.size.set(target.width, target.height);
+    } else {
+      renderer.getDrawingBufferSize(this.size);
+    }
+
+    if (
+      this.sceneTarget.width !== this.size.x ||
+      this.sceneTarget.height !== this.size.y
+    ) {
+      this.targets.forEach((target) =>
+        target.setSize(this.size.x, this.size.y),
+      );
+    }
+  },
+
+  // A target that isn't one of the given ones, for effects that need
+  // several draws before writing their output
+  getScratch: function (...exclude) {
+    return this.targets.find((target) => !exclude.includes(target));
+  },
+
+  // Draws material over the whole output (null = screen, or the XR
+  // framebuffer's target) reading from input
+  draw: function (material, input, output) {
+    const renderer = this.el.renderer;
+    const uniforms = material.uniforms;
+
+    if (uniforms.tDiffuse) uniforms.tDiffuse.value = input.texture;
+    if (uniforms.resolution) uniforms.resolution.value.copy(this.size);
+
+    this.quad.material = material;
+    renderer.setRenderTarget(output);
+    renderer.render(this.quad, this.camera);
+  },
+
+  remove: function () {
+    this.targets.forEach((target) => target.dispose());
+    this.quad.geometry.dispose();
+  },
+});
+
+// Shared by the post-processing effects: the quad already covers clip space
+const fullscreenVertexShader = `
+  varying vec2 vUv;
+  void main() {
+    vUv = uv;
+    gl_Position = vec4(position.xy, 0.0, 1.0);
+  }
+`;
+
+// Brightness is judged on the sRGB values the old canvas effects saw
+const postfxCommonShader = `
+  float brightness(vec4 color) {
+    vec3 srgb = sRGBTransferOETF(color).rgb;
+    return (srgb.r + srgb.g + srgb.b) / 3.0;
+  }
+`;
+
+// Pixel sorter as a postfx effect ("pixel-sort"). Runs of bright pixels are
+// sorted by brightness with odd-even transposition steps, one draw per step,
+// inside sortLength wide segments of each row.
+AFRAME.registerComponent("pixel-sorter", {
+  schema: {
+    enabled: { type: "boolean", default: false },
+    threshold: { type: "number", default: 0.3 },
+    sortLength: { type: "number", default: 80 },
+    iterations: { type: "int", default: 32 }, // sortLength sorts runs fully
+  },
+
+  init: function () {
+    this.postfx = this.el.sceneEl.systems.postfx;
+
+    const uniforms = () => ({
+      tDiffuse: { value: null },
+      resolution: { value: new THREE.Vector2() },
+      threshold: { value: 0 },
+      sortLength: { value: 1 },
+    });
+
+    this.stepMaterial = new THREE.ShaderMaterial({
+      uniforms: Object.assign(uniforms(), { parity: { value: 0 } }),
+      vertexShader: fullscreenVertexShader,
+      fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform vec2 resolution;
+        uniform float threshold;
+        uniform float sortLength;
+        uniform float parity;
+        ${postfxCommonShader}
+
+        bool sortable(vec4 color) {
+          // Skip transparent/background pixels
+          return color.a > 0.04 && brightness(color) > threshold;
+        }
+
+        void main() {
+          vec2 pixel = floor(gl_FragCoord.xy);
+          bool left = mod(pixel.x + parity, 2.0) < 1.0;
+          float partnerX = left ? pixel.x + 1.0 : pixel.x - 1.0;
+
+          vec4 color = texture2D(tDiffuse, (pixel + 0.5) / resolution);
+          vec4 partner = texture2D(
+            tDiffuse,
+            (vec2(partnerX, pixel.y) + 0.5) / resolution
+          );
+
+          bool sameRun =
+            partnerX >= 0.0 &&
+            partnerX < resolution.x &&
+            floor(pixel.x / sortLength) == floor(partnerX / sortLength);
+
+          if (sameRun && sortable(color) && sortable(partner)) {
+            float a = brightness(color);
+            float b = brightness(partner);
+            // Darkest first, like the old Array.sort
+            if ((left && a > b) || (!left && b > a)) color = partner;
+          }
+
+          gl_FragColor = color;
+        }
+      `,
+      depthTest: false,
+      depthWrite: false,
+    });
+
+    this.shiftMaterial = new THREE.ShaderMaterial({
+      uniforms: Object.assign(uniforms(), { time: { value: 0 } }),
+      vertexShader: fullscreenVertexShader,
+      fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform float threshold;
+        uniform float sortLength;
+        uniform float time;
+        varying vec2 vUv;
+        ${postfxCommonShader}
+
+        vec3 rgbToHsl(vec3 c) {
+          float maxC = max(c.r, max(c.g, c.b));
+          float minC = min(c.r, min(c.g, c.b));
+          float l = (maxC + minC) / 2.0;
+          if (maxC == minC) return vec3(0.0, 0.0, l);
+
+          float d = maxC - minC;
+          float s = l > 0.5 ? d / (2.0 - maxC - minC) : d / (maxC + minC);
+          float h;
+          if (maxC == c.r) h = (c.g - c.b) / d + (c.g < c.b ? 6.0 : 0.0);
+          else if (maxC == c.g) h = (c.b - c.r) / d + 2.0;
+          else h = (c.r - c.g) / d + 4.0;
+          return vec3(h / 6.0, s, l);
+        }
+
+        vec3 hslToRgb(vec3 hsl) {
+          vec3 k = mod(vec3(0.0, 8.0, 4.0) + hsl.x * 12.0, 12.0);
+          float a = hsl.y * min(hsl.z, 1.0 - hsl.z);
+          return hsl.z - a * clamp(min(k - 3.0, 9.0 - k), -1.0, 1.0);
+        }
+
+        void main() {
+          vec4 color = texture2D(tDiffuse, vUv);
+
+          if (color.a > 0.04 && brightness(color) > threshold) {
+            // Psychedelic hue shift tied to the position inside the segment
+            float position = mod(floor(gl_FragCoord.x), sortLength) / sortLength;
+            vec3 hsl = rgbToHsl(sRGBTransferOETF(color).rgb);
+            hsl.x = fract(hsl.x + position * 0.5 + time * 0.2);
+            hsl.y = min(1.0, hsl.y + 0.5);
+            color = sRGBTransferEOTF(vec4(hslToRgb(hsl), color.a));
+          }
+
+          gl_FragColor = color;
+          #include <colorspace_fragment>
+        }
+      `,
+      depthTest: false,
+      depthWrite: false,
+    });
+
+    this.effect = this.postfx.register({
+      name: "pixel-sort",
+      order: 10,
+      component: this,
+      render: (postfx, input, output) => this.render(postfx, input, output),
+    });
+  },
+
+  update: function () {
+    [this.stepMaterial, this.shiftMaterial].forEach((material) => {
+      material.uniforms.threshold.value = this.data.threshold;
+      material.uniforms.sortLength.value = Math.max(1, this.data.sortLength);
+    });
+    this.postfx.changed(this.effect);
+  },
+
+  tick: function (time) {
+    this.shiftMaterial.uniforms.time.value = time / 1000;
+  },
+
+  render: function (postfx, input, output) {
+    let read = input;
+    for (let i = 0; i < this.data.iterations; i++) {
+      const write = postfx.getScratch(read, output);
+      this.stepMaterial.uniforms.parity.value = i % 2;
+      postfx.draw(this.stepMaterial, read, write);
+      read = write;
+    }
+    postfx.draw(this.shiftMaterial, read, output);
+  },
+
+  remove: function () {
+    this.postfx.unregister(this.effect);
+    this.stepMaterial.dispose();
+    this.shiftMaterial.dispose();
+  },
+});
+
+// ASCII art as a postfx effect ("ascii"): each cell samples the frame and
+// looks up its character in a glyph atlas drawn once with the 2D canvas
+AFRAME.registerComponent("ascii-shader", {
+  schema: {
+    enabled: { type: "boolean", default: false },
+    characters: { type: "string", default: " .:-=+*#%@" },
+    fontSize: { type: "number", default: 10 },
+  },
+
+  init: function () {
+    this.postfx = this.el.sceneEl.systems.postfx;
+    this.atlasCanvas = document.createElement("canvas");
+    this.atlas = new THREE.CanvasTexture(this.atlasCanvas);
+    this.atlas.minFilter = THREE.NearestFilter;
+    this.atlas.magFilter = THREE.NearestFilter;
+    this.atlas.generateMipmaps = false;
+
+    this.material = new THREE.ShaderMaterial({
+      uniforms: {
+        tDiffuse: { value: null },
+        resolution: { value: new THREE.Vector2() },
+        glyphs: { value: this.atlas },
+        glyphCount: { value: 1 },
+        cellSize: { value: new THREE.Vector2(1, 1) },
+      },
+      vertexShader: fullscreenVertexShader,
+      fragmentShader: `
+        uniform sampler2D tDiffuse;
+        uniform sampler2D glyphs;
+        uniform vec2 resolution;
+        uniform vec2 cellSize;
+        uniform float glyphCount;
+        ${postfxCommonShader}
+
+        float glyph(float index, vec2 local) {
+          if (local.x < 0.0 || local.y < 0.0 || local.x >= 1.0) return 0.0;
+          return texture2D(glyphs, vec2((index + local.x) / glyphCount, local.y)).a;
+        }
+
+        void main() {
+          vec2 cell = floor(gl_FragCoord.xy / cellSize);
+          vec4 color = texture2D(tDiffuse, (cell + 0.5) * cellSize / resolution);
+          vec3 srgb = sRGBTransferOETF(color).rgb;
+
+          float level = brightness(color);
+          float index = floor(level * (glyphCount - 1.0) + 0.0001);
+          vec3 tint = srgb * 0.7 + level * 0.3;
+
+          vec2 local = (gl_FragCoord.xy - cell * cellSize) / cellSize;
+          float ink = glyph(index, local);
+
+          // Dark blue background
+          vec3 result = vec3(10.0, 10.0, 26.0) / 255.0;
+          if (color.a > 0.04) {
+            // Foreground gets a 1px drop shadow for depth
+            float shadow = glyph(index, local - vec2(1.0, -1.0) / cellSize);
+            result = mix(result, vec3(0.0), shadow);
+            result = mix(result, tint, ink);
+          } else {
+            // Background in dimmer colours, no shadow
+            result = mix(result, tint * 0.4, ink);
+          }
+
+          gl_FragColor = sRGBTransferEOTF(vec4(result, 1.0));
+          #include <colorspace_fragment>
+        }
+      `,
+      depthTest: false,
+      depthWrite: false,
+    });
+
+    this.effect = this.postfx.register({
+      name: "ascii",
+      order: 20,
+      component: this,
+      render: (postfx, input, output) =>
+        postfx.draw(this.material, input, output),
+    });
+  },
+
+  update: function (oldData) {
+    if (
+      this.data.characters !== oldData.characters ||
+      this.data.fontSize !== oldData.fontSize
+    ) {
+      this.buildAtlas();
+    }
+    this.postfx.changed(this.effect);
+  },
+
+  buildAtlas: function () {
+    const chars = this.data.characters || " ";
+    const pixelRatio = this.el.sceneEl.renderer.getPixelRatio();
+    const width = Math.max(
+      1,
+      Math.round(this.data.fontSize * 0.6 * pixelRatio),
+    );
+    const height = Math.max(1, Math.round(this.data.fontSize * pixelRatio));
+
+    this.atlasCanvas.width = width * chars.length;
+    this.atlasCanvas.height = height;
+
+    const ctx = this.atlasCanvas.getContext("2d");
+    ctx.font = `${height}px monospace`;
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "#ffffff";
+    for (let i = 0; i < chars.length; i++) {
+      ctx.fillText(chars[i], i * width, height / 2);
+    }
+
+    // The canvas was resized, so the GPU copy has to be recreated
+    this.atlas.dispose();
+    this.atlas.needsUpdate = true;
+
+    this.material.uniforms.glyphCount.value = chars.length;
+    this.material.uniforms.cellSize.value.set(width, height);
+  },
+
+  remove: function () {
+    this.postfx.unregister(this.effect);
+    this.material.dispose();
+    this.atlas.dispose();
+  },
+});
+
+// Console command registry. Any system or component can add commands:
+//
+//   sceneEl.systems["game-console"].register({
+//     name: "greet",
+//     aliases: ["hi"],
+//     description: "Say hello",
+//     args: [{ name: "who", type: "entity", optional: true }],
+//     run: (args, gameConsole) => gameConsole.print(`Hello ${args.who.id}`),
+//   });
+//
+// Argument types are string, number, int, boolean (on/off), choice (one of
+// values) and entity (an element id). values (an array, or a function of the
+// tokens before it) also feeds Tab completion for the other types; rest: true
+// takes the remainder of the line. run may return a promise to hold back the
+// commands chained after it (see wait).
+//
+// The system is also the scripting engine: ;-separated chains, aliases and
+// key binds (both kept in localStorage) run through execute().
+AFRAME.registerSystem("game-console", {
+  maxDepth: 16, // Nested aliases/scripts, so "alias a a" can't hang the page
+  argTypes: {
+    string: (token) => token,
+    number: (token) => {
+      const value = Number(token);
+      if (token === "" || isNaN(value)) {
+        throw new Error(`"${token}" is not a number`);
+      }
+      return value;
+    },
+    int: (token) => {
+      const value = Number(token);
+      if (!Number.isInteger(value)) {
+        throw new Error(`"${token}" is not a whole number`);
+      }
+      return value;
+    },
+    boolean: (token) => {
+      const value = token.toLowerCase();
+      if (["on", "true", "1", "yes"].includes(value)) return true;
+      if (["off", "false", "0", "no"].includes(value)) return false;
+      throw new Error(`"${token}" is not on or off`);
+    },
+    choice: (token, values) => {
+      const match = values.find((v) => v.toLowerCase() === token.toLowerCase());
+      if (match === undefined) {
+        throw new Error(`"${token}" is not one of: ${values.join(", ")}`);
+      }
+      return match;
+    },
+    entity: (token) => {
+      const el = document.getElementById(token);
+      if (!el || !el.isEntity) throw new Error(`No entity with id "${token}"`);
+      return el;
+    },
+  },
+
+  init: function () {
+    this.commands = new Map();
+    this.aliases = new Map();
+    this.userAliases = this.readStorage("console-aliases");
+    this.binds = this.readStorage("console-binds");
+
+    Object.keys(this.userAliases).forEach((name) => {
+      this.registerAlias(name, this.userAliases[name]);
+    });
+  },
+
+  readStorage: function (key) {
+    try {
+      return JSON.parse(localStorage.getItem(key)) || {};
+    } catch (error) {
+      return {};
+    }
+  },
+
+  register: function (command) {
+    const definition = Object.assign(
+      { aliases: [], args: [], description: "" },
+      command,
+    );
+    if (this.commands.has(definition.name)) {
+      console.warn(`Console command "${definition.name}" replaced`);
+    }
+
+    this.commands.set(definition.name, definition);
+    definition.aliases.forEach((alias) => {
+      this.aliases.set(alias, definition.name);
+    });
+  },
+
+  unregister: function (name) {
+    const command = this.commands.get(name);
+    if (!command) return;
+
+    command.aliases.forEach((alias) => this.aliases.delete(alias));
+    this.commands.delete(name);
+  },
+
+  get: function (name) {
+    const key = name.toLowerCase();
+    return this.commands.get(this.aliases.get(key) || key) || null;
+  },
+
+  list: function () {
+    return Array.from(this.commands.values());
+  },
+
+  // Command names and aliases
+  getNames: function () {
+    return this.list().reduce(
+      (names, command) => names.concat(command.name, command.aliases),
+      [],
+    );
+  },
+
+  getUsage: function (command) {
+    const args = command.args.map((arg) => {
+      let label = arg.rest ? `${arg.name}...` : arg.name;
+      if (arg.type === "choice" && Array.isArray(arg.values)) {
+        label = arg.values.join("|");
+      }
+      return arg.optional ? `[${label}]` : `<${label}>`;
+    });
+    return [command.name].concat(args).join(" ");
+  },
+
+  getValues: function (arg, tokens) {
+    if (!arg) return [];
+    if (typeof arg.values === "function") return arg.values(tokens) || [];
+    if (arg.values) return arg.values;
+    if (arg.type === "boolean") return ["on", "off"];
+    if (arg.type === "entity") {
+      return Array.from(this.el.querySelectorAll("[id]"))
+        .filter((el) => el.isEntity)
+        .map((el) => el.id);
+    }
+    return [];
+  },
+
+  // Splits a line into words. Quotes group words (and can be escaped with a
+  // backslash); start is where each word begins, for completion.
+  tokenize: function (line) {
+    const tokens = [];
+    let current = null;
+    let quote = null;
+
+    for (let i = 0; i < line.length; i++) {
+      let char = line[i];
+
+      if (quote) {
+        if (char === "\\" && i + 1 < line.length) {
+          current.text += line[++i];
+        } else if (char === quote) {
+          quote = null;
+        } else {
+          current.text += char;
+        }
+        continue;
+      }
+
+      if (/\s/.test(char)) {
+        if (current) tokens.push(current);
+        current = null;
+        continue;
+      }
+
+      if (!current) current = { text: "", start: i };
+      if (char === '"' || char === "'") {
+        quote = char;
+      } else {
+        if (char === "\\" && i + 1 < line.length) char = line[++i];
+        current.text += char;
+      }
+    }
+    if (current) tokens.push(current);
+
+    return { tokens: tokens, open: quote !== null, ended: current === null };
+  },
+
+  // { command, args } for a line, null for a blank one; throws on anything
+  // the command can't take
+  parse: function (line) {
+    const { tokens, open } = this.tokenize(line);
+    if (open) throw new Error("Unterminated quote");
+    if (tokens.length === 0) return null;
+
+    const words = tokens.map((token) => token.text);
+    const command = this.get(words[0]);
+    if (!command) {
+      throw new Error(
+        `Unknown command: ${words[0]}\nType 'help' for a list of commands`,
+      );
+    }
+
+    const args = {};
+    const rest = words.slice(1);
+
+    try {
+      command.args.forEach((arg, i) => {
+        if (i >= rest.length) {
+          if (!arg.optional) throw new Error(`Missing ${arg.name}`);
+          args[arg.name] = arg.default;
+          return;
+        }
+
+        const token = arg.rest ? rest.slice(i).join(" ") : rest[i];
+        const type = this.argTypes[arg.type || "string"];
+        args[arg.name] = type(token, this.getValues(arg, rest.slice(0, i)));
+      });
+
+      const last = command.args[command.args.length - 1];
+      if (rest.length > command.args.length && !(last && last.rest)) {
+        throw new Error("Too many arguments");
+      }
+    } catch (error) {
+      throw new Error(`${error.message}\nUsage: ${this.getUsage(command)}`);
+    }
+
+    return { command: command, args: args };
+  },
+
+  // Splits a line on the semicolons outside quotes, keeping where each
+  // statement starts
+  splitStatements: function (line) {
+    const statements = [];
+    let start = 0;
+    let quote = null;
+
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (char === "\\") {
+        i++;
+      } else if (quote) {
+        if (char === quote) quote = null;
+      } else if (char === '"' || char === "'") {
+        quote = char;
+      } else if (char === ";") {
+        statements.push({ text: line.slice(start, i), start: start });
+        start = i + 1;
+      }
+    }
+    statements.push({ text: line.slice(start), start: start });
+
+    return statements;
+  },
+
+  // Runs each statement of line in turn. Synchronous unless a command
+  // returns a promise, in which case the rest wait for it; the returned
+  // promise settles when the whole line is done.
+  execute: function (line, gameConsole, depth = 0) {
+    if (depth > this.maxDepth) {
+      gameConsole.print("Too many nested aliases or scripts");
+      return Promise.resolve();
+    }
+
+    const statements = this.splitStatements(line);
+    const runFrom = (index) => {
+      for (let i = index; i < statements.length; i++) {
+        const result = this.executeStatement(
+          statements[i].text,
+          gameConsole,
+          depth,
+        );
+        if (result && typeof result.then === "function") {
+          return result.then(() => runFrom(i + 1));
+        }
+      }
+      return Promise.resolve();
+    };
+
+    return runFrom(0);
+  },
+
+  executeStatement: function (statement, gameConsole, depth) {
+    let parsed;
+    try {
+      parsed = this.parse(statement);
+    } catch (error) {
+      gameConsole.print(error.message);
+      return null;
+    }
+    if (!parsed) return null;
+
+    const fail = (error) => {
+      console.warn(error);
+      gameConsole.print(`${parsed.command.name} failed: ${error.message}`);
+    };
+
+    try {
+      const result = parsed.command.run(parsed.args, gameConsole, depth);
+      return result && typeof result.then === "function"
+        ? result.catch(fail)
+        : null;
+    } catch (error) {
+      fail(error);
+      return null;
+    }
+  },
+
+  // An alias is a command whose body is another line to execute
+  registerAlias: function (name, body) {
+    this.register({
+      name: name,
+      alias: true,
+      description: `alias for: ${body}`,
+      run: (args, gameConsole, depth) =>
+        this.execute(body, gameConsole, depth + 1),
+    });
+  },
+
+  setAlias: function (name, body) {
+    const existing = this.get(name);
+    if (existing && !existing.alias) {
+      throw new Error(`"${name}" is already a command`);
+    }
+
+    if (existing) this.unregister(existing.name);
+    this.registerAlias(name.toLowerCase(), body);
+    this.userAliases[name.toLowerCase()] = body;
+    localStorage.setItem("console-aliases", JSON.stringify(this.userAliases));
+  },
+
+  removeAlias: function (name) {
+    const existing = this.get(name);
+    if (!existing || !existing.alias) return false;
+
+    this.unregister(existing.name);
+    delete this.userAliases[existing.name];
+    localStorage.setItem("console-aliases", JSON.stringify(this.userAliases));
+    return true;
+  },
+
+  // "f5", "u", "1", "space", "numpad1" from KeyboardEvent.code, so binds
+  // don't change with Shift or the keyboard layout's characters
+  getKeyName: function (event) {
+    return event.code.replace(/^(Key|Digit)/, "").toLowerCase();
+  },
+
+  setBind: function (key, line) {
+    if (line) {
+      this.binds[key.toLowerCase()] = line;
+    } else {
+      delete this.binds[key.toLowerCase()];
+    }
+    localStorage.setItem("console-binds", JSON.stringify(this.binds));
+  },
+
+  // Completes the word at the end of line (its last statement). Returns the
+  // new line and every candidate, or null if nothing matches.
+  complete: function (line) {
+    const statements = this.splitStatements(line);
+    const last = statements[statements.length - 1];
+    const result = this.completeStatement(last.text);
+    if (!result) return null;
+
+    result.line = line.slice(0, last.start) + result.line;
+    return result;
+  },
+
+  completeStatement: function (line) {
+    const { tokens, ended } = this.tokenize(line);
+    const words = tokens.map((token) => token.text);
+    const partial = ended ? "" : words[words.length - 1] || "";
+    const before = ended ? words : words.slice(0, -1);
+
+    let candidates;
+    if (before.length === 0) {
+      candidates = this.getNames();
+    } else {
+      const command = this.get(before[0]);
+      if (!command) return null;
+
+      const index = before.length - 1;
+      const last = command.args[command.args.length - 1];
+      const arg = command.args[index] || (last && last.rest ? last : undefined);
+      candidates = this.getValues(arg, before.slice(1));
+    }
+
+    const matches = candidates
+      .filter((c) => c.toLowerCase().startsWith(partial.toLowerCase()))
+      .sort();
+    if (matches.length === 0) return null;
+
+    // Longest prefix every match shares
+    let common = matches[0];
+    matches.forEach((match) => {
+      while (!match.toLowerCase().startsWith(common.toLowerCase())) {
+        common = common.slice(0, -1);
+      }
+    });
+
+    const quote = (text, closed) => {
+      if (!/[\s"'\\]/.test(text)) return text;
+      const escaped = text.replace(/["\\]/g, "\\$&");
+      return closed ? `"${escaped}"` : `"${escaped}`;
+    };
+    const head = ended ? line : line.slice(0, tokens[tokens.length - 1].start);
+    const word =
+      matches.length === 1 ? `${quote(matches[0], true)} ` : quote(common);
+
+    return { line: head + word, matches: matches };
+  },
+});
+
+// In-game console system
+AFRAME.registerComponent("game-console", {
+  init: function () {
+    this.isOpen = false;
+    this.consoleHistory = [];
+    this.historyIndex = -1;
+
+    // Create console UI
+    this.consoleDiv = document.createElement("div");
+    this.consoleDiv.id = "game-console";
+    this.consoleDiv.style.display = "none";
+    this.consoleDiv.innerHTML = `
+      <div id="console-output"></div>
+      <div id="console-input-line">
+        <span>> </span>
+        <input type="text" id="console-input" />
+      </div>
+    `;
+    document.body.appendChild(this.consoleDiv);
+
+    this.output = document.getElementById("console-output");
+    this.input = document.getElementById("console-input");
+
+    // The console action (backtick by default) opens and closes it
+    this.onActionDown = (event) => {
+      if (event.detail.action === "console") this.toggle();
+    };
+
+    this.onKeyDown = (event) => {
+      if (this.isOpen) {
+        // Handle command history with arrow keys
+        if (event.key === "ArrowUp") {
+          event.preventDefault();
+          if (this.historyIndex < this.consoleHistory.length - 1) {
+            this.historyIndex++;
+            this.input.value =
+              this.consoleHistory[
+                this.consoleHistory.length - 1 - this.historyIndex
+              ];
+          }
+        } else if (event.key === "ArrowDown") {
+          event.preventDefault();
+          if (this.historyIndex > 0) {
+            this.historyIndex--;
+            this.input.value =
+              this.consoleHistory[
+                this.consoleHistory.length - 1 - this.historyIndex
+              ];
+          } else if (this.historyIndex === 0) {
+            this.historyIndex = -1;
+            this.input.value = "";
+          }
+        } else if (event.key === "Tab") {
+          event.preventDefault();
+          this.complete();
+        }
+      } else if (
+        !event.repeat &&
+        !(event.target.matches && event.target.matches("input, select"))
+      ) {
+        const line = this.system.binds[this.system.getKeyName(event)];
+        if (line) {
+          event.preventDefault();
+          this.executeCommand(line);
+        }
+      }
+    };
+
+    this.onSubmit = (event) => {
+      if (event.key === "Enter" && this.isOpen) {
+        const command = this.input.value.trim();
+        if (command) {
+          this.executeCommand(command);
+          this.consoleHistory.push(command);
+          this.historyIndex = -1;
+        }
+        this.input.value = "";
+      }
+    };
+
+    window.addEventListener("keydown", this.onKeyDown);
+    this.input.addEventListener("keydown", this.onSubmit);
+    this.el.addEventListener("action-down", this.onActionDown);
+
+    this.registerCommands();
+    this.registerScriptCommands();
+    this.print("Console initialized. Type 'help' for commands.");
+  },
+
+  toggle: function () {
+    this.isOpen = !this.isOpen;
+    this.consoleDiv.style.display = this.isOpen ? "block" : "none";
+
+    const fpsController = document.querySelector("[fps-controller]");
+    const camera = document.querySelector("[camera]");
+
+    if (this.isOpen) {
+      this.input.focus();
+      // Disable player controls
+      if (fpsController) {
+        fpsController.components["fps-controller"].pause();
+      }
+      if (camera) {
+        camera.setAttribute("look-controls", "enabled", false);
+      }
+    } else {
+      this.input.blur();
+      // Re-enable player controls
+      if (fpsController) {
+        fpsController.components["fps-controller"].play();
+      }
+      if (camera) {
+        camera.setAttribute("look-controls", "enabled", true);
+      }
+    }
+  },
+
+  print: function (text) {
+    const line = document.createElement("div");
+    line.textContent = text;
+    this.output.appendChild(line);
+    this.output.scrollTop = this.output.scrollHeight;
+  },
+
+  complete: function () {
+    const result = this.system.complete(this.input.value);
+    if (!result) return;
+
+    this.input.value = result.line;
+    if (result.matches.length > 1) this.print(result.matches.join("  "));
+  },
+
+  executeCommand: function (command) {
+    this.print(`> ${command}`);
+    return this.system.execute(command, this);
+  },
+
+  // Runs a script from the site root (public/), one line of commands at a
+  // time. Lines starting with # or // are comments.
+  exec: function (file, depth = 0) {
+    const path = file.replace(/^\/+/, "");
+    const url = `/${path}${path.endsWith(".cfg") ? "" : ".cfg"}`;
+
+    return fetch(url, { cache: "no-cache" })
+      .then((response) => {
+        // The dev server answers unknown paths with the page itself
+        const type = response.headers.get("content-type") || "";
+        if (!response.ok || type.includes("text/html")) {
+          throw new Error(`${url} not found`);
+        }
+        return response.text();
+      })
+      .then((text) => {
+        this.print(`Executing ${url}`);
+        return text
+          .split(/\r?\n/)
+          .map((line) => line.trim())
+          .filter((line) => line && !/^(#|\/\/)/.test(line))
+          .reduce(
+            (previous, line) =>
+              previous.then(() => this.system.execute(line, this, depth + 1)),
+            Promise.resolve(),
+          );
+      });
+  },
+
+  registerCommands: function () {
+    const scene = this.el.sceneEl;
+    const commands = this.system;
+
+    commands.register({
+      name: "help",
+      description: "List commands, or describe one",
+      args: [
+        {
+          name: "command",
+          type: "choice",
+          optional: true,
+          values: () => commands.getNames(),
+        },
+      ],
+      run: (args) => {
+        if (args.command) {
+          const command = commands.get(args.command);
+          this.print(`${commands.getUsage(command)} - ${command.description}`);
+          if (command.aliases.length > 0) {
+            this.print(`  Aliases: ${command.aliases.join(", ")}`);
+          }
+          command.args.forEach((arg) => {
+            const values = commands.getValues(arg, []);
+            const hint =
+              arg.type === "choice" && values.length > 0
+                ? values.join("|")
+                : arg.type || "string";
+            this.print(`  ${arg.name}: ${hint}`);
+          });
+          return;
+        }
+
+        this.print("Available commands:");
+        commands.list().forEach((command) => {
+          this.print(
+            `  ${commands.getUsage(command)} - ${command.description}`,
+          );
+        });
+        this.print("Tab completes names and arguments; quote to keep spaces");
+      },
+    });
+
+    commands.register({
+      name: "clear",
+      aliases: ["cls"],
+      description: "Clear console",
+      run: () => {
+        this.output.innerHTML = "";
+      },
+    });
+
+    commands.register({
+      name: "pos",
+      description: "Show the position of the player (or an entity)",
+      args: [{ name: "entity", type: "entity", optional: true }],
+      run: (args) => {
+        const el = args.entity || document.querySelector("[fps-controller]");
+        if (el) {
+          const pos = el.object3D.position;
+          this.print(
+            `Position: ${pos.x.toFixed(2)} ${pos.y.toFixed(2)} ${pos.z.toFixed(2)}`,
+          );
+        }
+      },
+    });
+
+    commands.register({
+      name: "noclip",
+      description: "Toggle noclip mode (fly freely)",
+      run: () => {
+        const player = document.querySelector("[fps-controller]");
+        if (player && player.components["fps-controller"]) {
+          const noclip = !player.components["fps-controller"].data.noclip;
+          player.setAttribute("fps-controller", "noclip", noclip);
+          this.print(`Noclip: ${noclip ? "ON" : "OFF"}`);
+          if (noclip) {
+            this.print("Use Space to fly up, Shift to fly down");
+          }
+        }
+      },
+    });
+
+    commands.register({
+      name: "spawn",
+      description: "Spawn a model (in front of you without a position)",
+      args: [
+        {
+          name: "model",
+          values: () => scene.systems["asset-loader"].getUrls("obj"),
+        },
+        { name: "x", type: "number", optional: true },
+        { name: "y", type: "number", optional: true },
+        { name: "z", type: "number", optional: true },
+      ],
+      run: (args) => {
+        const modelPath = args.model;
+        let { x, y, z } = args;
+
+        if (x === undefined || y === undefined || z === undefined) {
+          // Spawn in front of player
+          const camera = document.querySelector("[camera]");
+          const cameraPos = camera.object3D.position;
+          const cameraDir = new THREE.Vector3(0, 0, -1);
+          cameraDir.applyQuaternion(camera.object3D.quaternion);
+          cameraDir.multiplyScalar(5);
+
+          x = cameraPos.x + cameraDir.x;
+          y = cameraPos.y + cameraDir.y;
+          z = cameraPos.z + cameraDir.z;
+        }
+
+        const entity = document.createElement("a-entity");
+        entity.setAttribute("obj-model", `obj: ${modelPath}`);
+        entity.setAttribute("data-spawned", "");
+        entity.setAttribute("position", `${x} ${y} ${z}`);
+        scene.appendChild(entity);
+
+        this.print(
+          `Spawned ${modelPath} at ${x.toFixed(2)} ${y.toFixed(2)} ${z.toFixed(2)}`,
+        );
+      },
+    });
+
+    commands.register({
+      name: "gamemode",
+      description: "Switch between editing and playing",
+      args: [{ name: "mode", type: "choice", values: ["edit", "play"] }],
+      run: (args) => {
+        const editor = scene.systems.editor;
+        if (args.mode === "edit") {
+          editor.enter();
+          this.print("Edit mode enabled - click to select, see panel for keys");
+        } else {
+          editor.exit();
+          this.print("Play mode enabled");
+        }
+      },
+    });
+
+    const layoutNames = () =>
+      scene.systems.layout.list().map((slot) => slot.name);
+
+    commands.register({
+      name: "save",
+      description: "Save the layout to a slot in this browser",
+      args: [{ name: "name", values: layoutNames }],
+      run: (args) => {
+        try {
+          scene.systems.layout.save(args.name);
+          this.print(`Saved layout "${args.name}"`);
+        } catch (error) {
+          this.print(`Layout save failed: ${error.message}`);
+        }
+      },
+    });
+
+    commands.register({
+      name: "load",
+      description: "Load a saved layout slot",
+      args: [{ name: "name", values: layoutNames }],
+      run: (args) => {
+        try {
+          if (scene.systems.layout.load(args.name)) {
+            this.print(`Loaded layout "${args.name}"`);
+          } else {
+            this.print(`No layout named "${args.name}" (see 'layouts')`);
+          }
+        } catch (error) {
+          this.print(`Layout load failed: ${error.message}`);
+        }
+      },
+    });
+
+    commands.register({
+      name: "layouts",
+      description: "List saved layout slots",
+      run: () => {
+        const slots = scene.systems.layout.list();
+        if (slots.length === 0) {
+          this.print("No saved layouts");
+        }
+        slots.forEach((slot) => {
+          const date = slot.savedAt
+            ? new Date(slot.savedAt).toLocaleString()
+            : "unknown date";
+          this.print(`  ${slot.name} (${date})`);
+        });
+      },
+    });
+
+    commands.register({
+      name: "export",
+      description: "Download the layout as a JSON file",
+      args: [{ name: "name", optional: true, default: "layout" }],
+      run: (args) => {
+        scene.systems.layout.export(args.name);
+        this.print("Layout exported");
+      },
+    });
+
+    commands.register({
+      name: "import",
+      description: "Load a layout from a JSON file",
+      run: () => {
+        scene.systems.layout
+          .import()
+          .then((fileName) =>
+            this.print(
+              fileName
+                ? `Imported layout from ${fileName}`
+                : "Import cancelled",
+            ),
+          )
+          .catch((error) => this.print(`Import failed: ${error.message}`));
+      },
+    });
+
+    commands.register({
+      name: "showcollision",
+      description: "Show physics collision boxes",
+      run: () => {
+        scene.object3D.traverse((node) => {
+          if (node.el && node.el.body) {
+            const helper = new THREE.BoxHelper(node, 0x00ff00);
+            scene.object3D.add(helper);
+          }
+        });
+        this.print("Collision boxes visualized");
+      },
+    });
+
+    commands.register({
+      name: "unstuck",
+      description: "Teleport back to the spawn point",
+      run: () => {
+        const player = document.querySelector("[fps-controller]");
+        if (player) {
+          const spawnPoint = player.components["fps-controller"].spawnPoint;
+          scene.systems.waypoints.teleport(spawnPoint);
+          this.print("Teleported to spawn point");
+        }
+      },
+    });
+
+    commands.register({
+      name: "resetsphere",
+      description: "Reset purple sphere to start",
+      run: () => {
+        const sphere = document.getElementById("purple-sphere");
+        if (sphere && sphere.body) {
+          sphere.body.position.set(47.62, 2.63, 53.6);
+          sphere.body.velocity.set(0, 0, 0);
+          sphere.body.angularVelocity.set(0, 0, 0);
+          this.print("Reset purple sphere to starting position");
+        } else {
+          this.print("Sphere not found or has no physics body");
+        }
+      },
+    });
+
+    commands.register({
+      name: "env",
+      description: "List or switch environment presets",
+      args: [
+        {
+          name: "preset",
+          type: "choice",
+          optional: true,
+          values: () =>
+            scene.components.environment
+              ? scene.components.environment.getPresetNames()
+              : [],
+        },
+        { name: "seconds", type: "number", optional: true },
+      ],
+      run: (args) => {
+        const environment = scene.components.environment;
+        if (!environment) {
+          this.print("No environment on the scene");
+          return;
+        }
+
+        if (!args.preset) {
+          this.print(`Environment: ${environment.current || "none"}`);
+          this.print(`Presets: ${environment.getPresetNames().join(", ")}`);
+          return;
+        }
+
+        const update = { preset: args.preset };
+        if (args.seconds !== undefined) update.duration = args.seconds * 1000;
+        scene.setAttribute("environment", update);
+        this.print(`Switching environment to ${args.preset}`);
+      },
+    });
+
+    commands.register({
+      name: "cull",
+      description: "Culling stats, or toggle culling",
+      args: [{ name: "enabled", type: "boolean", optional: true }],
+      run: (args) => {
+        const culling = scene.systems.culling;
+
+        if (args.enabled !== undefined) culling.setEnabled(args.enabled);
+
+        const stats = culling.getStats();
+        this.print(
+          `Culling: ${stats.enabled ? "ON" : "OFF"} (max distance ${stats.maxDistance.toFixed(0)})`,
+        );
+        this.print(
+          `  ${stats.tracked} tracked, ${stats.visible} visible, ${stats.distance} beyond range, ${stats.frustum} outside view`,
+        );
+      },
+    });
+
+    commands.register({
+      name: "drawcalls",
+      description: "Batching report, or toggle batching",
+      args: [{ name: "enabled", type: "boolean", optional: true }],
+      run: (args) => {
+        const batcher = scene.querySelector("[static-batch]");
+        if (!batcher) {
+          this.print("No static-batch in the scene");
+          return;
+        }
+
+        if (args.enabled !== undefined) {
+          batcher.setAttribute("static-batch", "enabled", args.enabled);
+        }
+
+        const report = batcher.components["static-batch"].getReport();
+        this.print(
+          `Batching: ${report.batched ? "ON" : "OFF"} (${report.meshesMerged} meshes in ${report.batches} batches, ${report.lods} with LOD)`,
+        );
+        this.print(
+          `  Before: ${report.before.drawCalls} draw calls, ${report.before.triangles} triangles`,
+        );
+        this.print(
+          `  After: ${report.after.drawCalls} draw calls, ${report.after.triangles} triangles`,
+        );
+      },
+    });
+
+    const effectNames = () =>
+      scene.systems.postfx.list().map((effect) => effect.name);
+
+    commands.register({
+      name: "postfx",
+      description: "List, toggle or tune post-processing effects",
+      args: [
+        {
+          name: "action",
+          type: "choice",
+          optional: true,
+          default: "list",
+          values: ["list", "enable", "disable", "set"],
+        },
+        { name: "effect", type: "choice", optional: true, values: effectNames },
+        {
+          name: "param",
+          optional: true,
+          values: (tokens) => {
+            const effect = scene.systems.postfx.get(tokens[1]);
+            return effect ? Object.keys(effect.component.schema) : [];
+          },
+        },
+        { name: "value", optional: true },
+      ],
+      run: (args) => {
+        const postfx = scene.systems.postfx;
+        const action = args.action;
+
+        if (action === "list") {
+          postfx.list().forEach((effect) => {
+            const params = Object.keys(effect.params)
+              .map((key) => `${key}=${effect.params[key]}`)
+              .join(" ");
+            this.print(
+              `  ${effect.name} [${effect.enabled ? "ON" : "OFF"}] ${params}`,
+            );
+          });
+        } else if (action === "enable" || action === "disable") {
+          if (!args.effect) {
+            this.print(`Usage: postfx ${action} <effect>`);
+          } else {
+            postfx.enable(args.effect, action === "enable");
+            this.print(`${args.effect}: ${action === "enable" ? "ON" : "OFF"}`);
+          }
+        } else if (!args.effect || !args.param || args.value === undefined) {
+          this.print("Usage: postfx set <effect> <param> <value>");
+        } else {
+          postfx.setParams(args.effect, { [args.param]: args.value });
+          this.print(`${args.effect}.${args.param} = ${args.value}`);
+        }
+      },
+    });
+  },
+
+  registerScriptCommands: function () {
+    const commands = this.system;
+    const aliasNames = () => Object.keys(commands.userAliases);
+    const keyNames = () => {
+      const functionKeys = [];
+      for (let i = 1; i <= 12; i++) functionKeys.push(`f${i}`);
+      return Object.keys(commands.binds).concat(functionKeys);
+    };
+
+    commands.register({
+      name: "exec",
+      description: "Run a .cfg script of commands from the site root",
+      args: [{ name: "file" }],
+      run: (args, gameConsole, depth) => this.exec(args.file, depth),
+    });
+
+    commands.register({
+      name: "wait",
+      description: "Pause a ; chain or script for some milliseconds",
+      args: [{ name: "ms", type: "number" }],
+      run: (args) => new Promise((resolve) => setTimeout(resolve, args.ms)),
+    });
+
+    commands.register({
+      name: "alias",
+      description: 'List, show or define aliases: alias qa "unstuck; noclip"',
+      args: [
+        { name: "name", optional: true, values: aliasNames },
+        { name: "commands", optional: true, rest: true },
+      ],
+      run: (args) => {
+        if (!args.name) {
+          const names = aliasNames();
+          if (names.length === 0) this.print("No aliases");
+          names.forEach((name) => {
+            this.print(`  ${name} = ${commands.userAliases[name]}`);
+          });
+        } else if (args.commands === undefined) {
+          const body = commands.userAliases[args.name.toLowerCase()];
+          this.print(
+            body ? `${args.name} = ${body}` : `No alias named ${args.name}`,
+          );
+        } else {
+          commands.setAlias(args.name, args.commands);
+          this.print(`${args.name} = ${args.commands}`);
+        }
+      },
+    });
+
+    commands.register({
+      name: "unalias",
+      description: "Remove an alias",
+      args: [{ name: "name", type: "choice", values: aliasNames }],
+      run: (args) => {
+        commands.removeAlias(args.name);
+        this.print(`Removed alias ${args.name}`);
+      },
+    });
+
+    commands.register({
+      name: "bind",
+      description: 'List, show or set key binds: bind f5 "unstuck; noclip"',
+      args: [
+        { name: "key", optional: true, values: keyNames },
+        { name: "commands", optional: true, rest: true },
+      ],
+      run: (args) => {
+        if (!args.key) {
+          const keys = Object.keys(commands.binds);
+          if (keys.length === 0) this.print("No binds");
+          keys.forEach((key) => {
+            this.print(`  ${key} = ${commands.binds[key]}`);
+          });
+        } else if (args.commands === undefined) {
+          const line = commands.binds[args.key.toLowerCase()];
+          this.print(line ? `${args.key} = ${line}` : `${args.key} is unbound`);
+        } else {
+          commands.setBind(args.key, args.commands);
+          this.print(`${args.key} = ${args.commands}`);
+        }
+      },
+    });
+
+    commands.register({
+      name: "unbind",
+      description: "Remove a key bind",
+      args: [
+        {
+          name: "key",
+          type: "choice",
+          values: () => Object.keys(commands.binds),
+        },
+      ],
+      run: (args) => {
+        commands.setBind(args.key, null);
+        this.print(`${args.key} is unbound`);
+      },
+    });
+  },
+
+  pause: function () {
+    // Disable key handling when paused
+  },
+
+  play: function () {
+    // Re-enable key handling when unpaused
+  },
+
+  remove: function () {
+    window.removeEventListener("keydown", this.onKeyDown);
+    this.input.removeEventListener("keydown", this.onSubmit);
+    this.el.removeEventListener("action-down", this.onActionDown);
+    if (this.consoleDiv && this.consoleDiv.parentNode) {
+      this.consoleDiv.parentNode.removeChild(this.consoleDiv);
+    }
+  },
+});
+
+// Input actions: gameplay asks for "jump" or "forward" rather than a key,
+// and each action is bound to any mix of keys (by physical position, so
+// WASD stays put on AZERTY), mouse buttons and standard-mapping gamepad
+// buttons and stick directions. Sticks and triggers give analog values; an
+// action is down past 0.5, and the scene gets action-down/action-up as it
+// crosses. Bindings that differ from the defaults are kept in localStorage.
+AFRAME.registerSystem("input-actions", {
+  storageKey: "input-bindings",
+  threshold: 0.5,
+
+  defaults: {
+    forward: ["w", "pad-lstick-up"],
+    back: ["s", "pad-lstick-down"],
+    left: ["a", "pad-lstick-left"],
+    right: ["d", "pad-lstick-right"],
+    "look-left": ["pad-rstick-left"],
+    "look-right": ["pad-rstick-right"],
+    "look-up": ["pad-rstick-up"],
+    "look-down": ["pad-rstick-down"],
+    jump: ["space", "pad-a"], // Also up in noclip
+    descend: ["shiftleft", "shiftright", "pad-lb"], // Noclip only
+    crouch: ["c", "pad-b"],
+    interact: ["mouse1", "pad-rt"],
+    console: ["backquote", "pad-back"],
+    menu: ["escape", "pad-start"],
+  },
+
+  // Still work with focus in a text field
+  globalActions: ["console", "menu"],
+
+  // By MouseEvent.button and standard gamepad button index
+  mouseButtons: ["mouse1", "mouse3", "mouse2", "mouse4", "mouse5"],
+  padButtons: [
+    "a",
+    "b",
+    "x",
+    "y",
+    "lb",
+    "rb",
+    "lt",
+    "rt",
+    "back",
+    "start",
+    "ls",
+    "rs",
+    "up",
+    "down",
+    "left",
+    "right",
+    "home",
+  ],
+
+  init: function () {
+    this.bindings = this.readStorage();
+    this.sources = new Map(); // Binding name to its current value, 0 to 1
+    this.values = {}; // Action to value
+    this.held = new Set(); // Actions currently down
+    this.pointer = new THREE.Vector2(); // Last mouse position, -1 to 1
+    this.stick = new THREE.Vector2();
+    this.listener = null; // Takes the next press instead, for rebinding
+    this.layoutMap = null;
+
+    this.padSources = this.padButtons.map((name) => `pad-${name}`);
+    ["lstick", "rstick"].forEach((stick) => {
+      ["up", "down", "left", "right"].forEach((direction) => {
+        this.padSources.push(`pad-${stick}-${direction}`);
+      });
+    });
+
+    // Key labels for the current layout, where the browser will say
+    if (navigator.keyboard && navigator.keyboard.getLayoutMap) {
+      navigator.keyboard
+        .getLayoutMap()
+        .then((map) => (this.layoutMap = map))
+        .catch(() => {});
+    }
+
+    this.onKeyDown = (event) => {
+      if (event.repeat) return;
+      const name = this.getKeyName(event);
+
+      // Text fields keep their keys, apart from the console and menu
+      const typing =
+        event.target.matches && event.target.matches("input, textarea, select");
+      const global = this.globalActions.some((action) =>
+        this.bindings[action].includes(name),
+      );
+      if (typing && !global && !this.listener) return;
+
+      if (global || this.listener) event.preventDefault();
+      this.setSource(name, 1, "keyboard");
+    };
+    this.onKeyUp = (event) => {
+      this.setSource(this.getKeyName(event), 0, "keyboard");
+    };
+    this.onMouseDown = (event) => {
+      // Only clicks into the world, not on the HUD
+      if (event.target !== this.el.canvas) return;
+      this.onMouseMove(event);
+      this.setSource(this.mouseButtons[event.button], 1, "mouse");
+    };
+    this.onMouseUp = (event) => {
+      this.setSource(this.mouseButtons[event.button], 0, "mouse");
+    };
+    // While the pointer is locked, aim is the middle of the screen
+    this.onMouseMove = (event) => {
+      if (document.pointerLockElement) {
+        this.pointer.set(0, 0);
+        return;
+      }
+      this.pointer.set(
+        (event.clientX / window.innerWidth) * 2 - 1,
+        -(event.clientY / window.innerHeight) * 2 + 1,
+      );
+    };
+    // Keyups never arrive for keys let go in another window
+    this.onBlur = () => {
+      this.sources.forEach((value, name) => {
+        if (value > 0 && !name.startsWith("pad-")) this.setSource(name, 0);
+      });
+    };
+
+    window.addEventListener("keydown", this.onKeyDown);
+    window.addEventListener("keyup", this.onKeyUp);
+    window.addEventListener("mousedown", this.onMouseDown);
+    window.addEventListener("mouseup", this.onMouseUp);
+    window.addEventListener("mousemove", this.onMouseMove);
+    window.addEventListener("blur", this.onBlur);
+
+    this.registerCommands();
+  },
+
+  readStorage: function () {
+    let saved = {};
+    try {
+      saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      saved = {};
+    }
+
+    const bindings = {};
+    Object.keys(this.defaults).forEach((action) => {
+      bindings[action] = Array.isArray(saved[action])
+        ? saved[action].slice()
+        : this.defaults[action].slice();
+    });
+    return bindings;
+  },
+
+  writeStorage: function () {
+    const changed = {};
+    Object.keys(this.bindings).forEach((action) => {
+      const bindings = this.bindings[action];
+      if (bindings.join() !== this.defaults[action].join()) {
+        changed[action] = bindings;
+      }
+    });
+    localStorage.setItem(this.storageKey, JSON.stringify(changed));
+  },
+
+  getKeyName: function (event) {
+    return this.el.systems["game-console"].getKeyName(event);
+  },
+
+  // The scene's input-settings component, or its defaults without one
+  getSettings: function () {
+    const component = this.el.components["input-settings"];
+    if (component) return component.data;
+
+    const schema = AFRAME.components["input-settings"].schema;
+    const settings = {};
+    Object.keys(schema).forEach((key) => (settings[key] = schema[key].default));
+    return settings;
+  },
+
+  getValue: function (action) {
+    return this.values[action] || 0;
+  },
+
+  isDown: function (action) {
+    return this.held.has(action);
+  },
+
+  // -1 to 1 from a pair of opposing actions
+  getAxis: function (negative, positive) {
+    return this.getValue(positive) - this.getValue(negative);
+  },
+
+  getActions: function () {
+    return Object.keys(this.bindings);
+  },
+
+  getBindings: function (action) {
+    return this.bindings[action] ? this.bindings[action].slice() : [];
+  },
+
+  isGamepad: function (binding) {
+    return binding.startsWith("pad-");
+  },
+
+  checkBinding: function (binding) {
+    if (this.isGamepad(binding)) {
+      if (!this.padSources.includes(binding)) {
+        throw new Error(`Unknown gamepad input: ${binding}`);
+      }
+    } else if (binding.startsWith("mouse") && /\d$/.test(binding)) {
+      if (!this.mouseButtons.includes(binding)) {
+        throw new Error(`Unknown mouse button: ${binding}`);
+      }
+    } else if (!/^[a-z0-9]+$/.test(binding)) {
+      throw new Error(`Unknown key: ${binding}`);
+    }
+  },
+
+  setBindings: function (action, bindings) {
+    if (!this.bindings[action]) throw new Error(`Unknown action: ${action}`);
+
+    bindings = bindings.map((binding) => binding.toLowerCase());
+    bindings.forEach((binding) => this.checkBinding(binding));
+
+    this.bindings[action] = Array.from(new Set(bindings));
+    this.writeStorage();
+    this.refresh(action, undefined, true);
+    this.el.emit("input-bindings-changed", { action: action });
+  },
+
+  resetBindings: function (action) {
+    const actions = action ? [action] : this.getActions();
+    actions.forEach((name) => {
+      this.setBindings(name, this.defaults[name].slice());
+    });
+  },
+
+  // Hands the next key, mouse button or gamepad press to callback instead
+  // of any action. Escape cancels (callback gets null).
+  listen: function (callback) {
+    this.listener = callback;
+  },
+
+  // Binds action to the next press, replacing its other bindings from the
+  // same kind of device (a new key keeps the gamepad binding, and so on)
+  capture: function (action, callback) {
+    this.listen((binding) => {
+      if (binding) {
+        const pad = this.isGamepad(binding);
+        const others = this.getBindings(action).filter(
+          (existing) => this.isGamepad(existing) !== pad,
+        );
+        this.setBindings(action, others.concat(binding));
+      }
+      if (callback) callback(binding);
+    });
+  },
+
+  // The binding as printed, with the layout's label when it differs from
+  // the key's name (the "w" key reads "w [z]" on AZERTY)
+  describe: function (binding) {
+    if (!this.layoutMap || this.isGamepad(binding)) return binding;
+
+    let label = null;
+    this.layoutMap.forEach((value, code) => {
+      if (code.replace(/^(Key|Digit)/, "").toLowerCase() === binding) {
+        label = value.toLowerCase();
+      }
+    });
+    return label && label !== binding ? `${binding} [${label}]` : binding;
+  },
+
+  setSource: function (name, value, device) {
+    if (!name) return;
+
+    const previous = this.sources.get(name) || 0;
+    this.sources.set(name, value);
+
+    const pressed = value >= this.threshold && previous < this.threshold;
+    if (this.listener && pressed) {
+      const listener = this.listener;
+      this.listener = null;
+      listener(name === "escape" ? null : name);
+      return;
+    }
+
+    Object.keys(this.bindings).forEach((action) => {
+      if (this.bindings[action].includes(name)) this.refresh(action, device);
+    });
+  },
+
+  // quiet lets go of an action but won't press it: a rebind shouldn't fire
+  // the action whose key is still held from capturing it
+  refresh: function (action, device, quiet) {
+    let value = 0;
+    this.bindings[action].forEach((binding) => {
+      value = Math.max(value, this.sources.get(binding) || 0);
+    });
+    this.values[action] = value;
+
+    const down = value >= this.threshold;
+    if (down === this.held.has(action) || (down && quiet)) return;
+
+    if (down) {
+      this.held.add(action);
+    } else {
+      this.held.delete(action);
+    }
+    this.el.emit(down ? "action-down" : "action-up", {
+      action: action,
+      device: device,
+    });
+  },
+
+  tick: function (time, timeDelta) {
+    this.pollGamepads();
+    this.turnLook(Math.min(timeDelta / 1000, 0.1));
+  },
+
+  // Every connected pad counts; each input takes the strongest of them
+  pollGamepads: function () {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : [];
+    const values = {};
+    const deadZone = this.getSettings().deadZone;
+
+    Array.from(pads).forEach((pad) => {
+      if (!pad || !pad.connected) return;
+
+      const set = (name, value) => {
+        values[name] = Math.max(values[name] || 0, value);
+      };
+
+      this.padButtons.forEach((name, i) => {
+        if (pad.buttons[i]) set(`pad-${name}`, pad.buttons[i].value);
+      });
+
+      // Radial dead zone, rescaled so movement starts from zero
+      ["lstick", "rstick"].forEach((stick, i) => {
+        this.stick.set(pad.axes[i * 2] || 0, pad.axes[i * 2 + 1] || 0);
+        const length = this.stick.length();
+        if (length <= deadZone) return;
+
+        const scale =
+          Math.min(1, (length - deadZone) / (1 - deadZone)) / length;
+        this.stick.multiplyScalar(scale);
+        set(`pad-${stick}-left`, Math.max(0, -this.stick.x));
+        set(`pad-${stick}-right`, Math.max(0, this.stick.x));
+        set(`pad-${stick}-up`, Math.max(0, -this.stick.y));
+        set(`pad-${stick}-down`, Math.max(0, this.stick.y));
+      });
+    });
+
+    this.padSources.forEach((name) => {
+      const value = values[name] || 0;
+      if (value !== (this.sources.get(name) || 0)) {
+        this.setSource(name, value, "gamepad");
+      }
+    });
+  },
+
+  // Mouse look is look-controls' own; the look actions turn the same
+  // yaw/pitch objects it reads, at lookSpeed degrees a second
+  turnLook: function (delta) {
+    const x = this.getAxis("look-left", "look-right");
+    const y = this.getAxis("look-down", "look-up");
+    if (x === 0 && y === 0) return;
+    if (this.el.renderer && this.el.renderer.xr.isPresenting) return;
+
+    const camera = this.el.querySelector("[camera]");
+    const look = camera && camera.components["look-controls"];
+    if (!look || !look.data.enabled) return;
+
+    const settings = this.getSettings();
+    const speed = THREE.MathUtils.degToRad(settings.lookSpeed) * delta;
+    const pitch = look.pitchObject.rotation;
+
+    look.yawObject.rotation.y -= x * speed;
+    pitch.x += (settings.invertY ? -y : y) * speed;
+    pitch.x = THREE.MathUtils.clamp(pitch.x, -Math.PI / 2, Math.PI / 2);
+  },
+
+  registerCommands: function () {
+    const commands = this.el.systems["game-console"];
+    const actionNames = () => this.getActions();
+    const print = (gameConsole, action) => {
+      const bindings = this.bindings[action].map((b) => this.describe(b));
+      gameConsole.print(`  ${action}: ${bindings.join(", ") || "(unbound)"}`);
+    };
+
+    commands.register({
+      name: "actions",
+      description: "List input actions and what they're bound to",
+      run: (args, gameConsole) => {
+        this.getActions().forEach((action) => print(gameConsole, action));
+      },
+    });
+
+    commands.register({
+      name: "rebind",
+      description:
+        "Bind an action to keys/buttons (none to clear), or to the next press",
+      args: [
+        { name: "action", type: "choice", values: actionNames },
+        {
+          name: "bindings",
+          optional: true,
+          rest: true,
+          values: () => ["none", ...this.padSources, ...this.mouseButtons],
+        },
+      ],
+      run: (args, gameConsole) => {
+        if (args.bindings === undefined) {
+          gameConsole.print(
+            `Press a key or button for ${args.action} (Escape to cancel)`,
+          );
+          this.capture(args.action, (binding) => {
+            if (binding) print(gameConsole, args.action);
+            else gameConsole.print("Cancelled");
+          });
+          return;
+        }
+
+        const bindings = args.bindings.split(/\s+/).filter(Boolean);
+        this.setBindings(
+          args.action,
+          bindings.includes("none") ? [] : bindings,
+        );
+        print(gameConsole, args.action);
+      },
+    });
+
+    commands.register({
+      name: "resetbinds",
+      description: "Put one action's bindings (or all of them) back",
+      args: [
+        { name: "action", type: "choice", optional: true, values: actionNames },
+      ],
+      run: (args, gameConsole) => {
+        this.resetBindings(args.action);
+        (args.action ? [args.action] : this.getActions()).forEach((action) =>
+          print(gameConsole, action),
+        );
+      },
+    });
+  },
+
+  remove: function () {
+    window.removeEventListener("keydown", this.onKeyDown);
+    window.removeEventListener("keyup", this.onKeyUp);
+    window.removeEventListener("mousedown", this.onMouseDown);
+    window.removeEventListener("mouseup", this.onMouseUp);
+    window.removeEventListener("mousemove", this.onMouseMove);
+    window.removeEventListener("blur", this.onBlur);
+  },
+});
+
+// Input settings, on the scene so they're cvars (input-settings.deadZone).
+// Not named after the input-actions system: the scene hands a system's name
+// to the system, so a component of the same name there never updates.
+AFRAME.registerComponent("input-settings", {
+  schema: {
+    deadZone: { type: "number", default: 0.15 }, // Gamepad sticks, 0 to 1
+    lookSpeed: { type: "number", default: 180 }, // Degrees a second
+    invertY: { type: "boolean", default: false }, // Gamepad look
+  },
+});
+
+// FPS-style mouse look for the camera: click the world to lock the pointer,
+// then the mouse turns look-controls' yaw/pitch objects (which everything
+// else already reads) with sensitivity, inversion and optional smoothing.
+// The lock is let go whenever look-controls is disabled, which is how the
+// console, editor and menus take the mouse back, and a click re-locks it.
+// With pointerLock off it's look-controls' own drag-to-look again.
+AFRAME.registerComponent("mouse-look", {
+  schema: {
+    pointerLock: { default: true },
+    sensitivity: { type: "number", default: 1 }, // 1 = look-controls' drag
+    invertY: { default: false },
+    smoothing: { type: "number", default: 0 }, // 0 = raw, up to 0.9
+    fov: { type: "number", default: 80 },
+  },
+
+  init: function () {
+    this.locked = false;
+    this.pending = new THREE.Vector2(); // Turn still to apply, radians
+    this.crosshair = document.getElementById("crosshair");
+
+    this.onMouseDown = (event) => {
+      const canvas = this.el.sceneEl.canvas;
+      if (event.target !== canvas || event.button !== 0) return;
+      if (!this.data.pointerLock || this.locked || !this.isLookEnabled())
+        return;
+      if (this.el.sceneEl.is("editing")) return;
+
+      const request = canvas.requestPointerLock();
+
+      // Browsers that return a promise reject when you click too soon
+      // after escaping; the next click tries again
+      if (request && request.catch) request.catch(() => {});
+    };
+    this.onMouseMove = (event) => {
+      if (!this.locked) return;
+
+      const scale = 0.002 * this.data.sensitivity;
+      this.pending.x -= event.movementX * scale;
+      this.pending.y -= event.movementY * scale * (this.data.invertY ? -1 : 1);
+    };
+    this.onLockChange = () => {
+      this.locked = document.pointerLockElement === this.el.sceneEl.canvas;
+      this.pending.set(0, 0);
+      if (this.crosshair) {
+        this.crosshair.style.display = this.locked ? "block" : "none";
+      }
+      this.el.sceneEl.emit("pointer-lock-changed", { locked: this.locked });
+    };
+
+    window.addEventListener("mousedown", this.onMouseDown);
+    document.addEventListener("mousemove", this.onMouseMove);
+    document.addEventListener("pointerlockchange", this.onLockChange);
+  },
+
+  update: function () {
+    const data = this.data;
+
+    this.el.setAttribute("look-controls", "mouseEnabled", !data.pointerLock);
+    this.el.setAttribute("camera", "fov", data.fov);
+
+    if (!data.pointerLock) this.unlock();
+  },
+
+  isLookEnabled: function () {
+    const look = this.el.components["look-controls"];
+    return !!look && look.data.enabled;
+  },
+
+  unlock: function () {
+    if (this.locked) document.exitPointerLock();
+  },
+
+  tick: function (time, timeDelta) {
+    if (!this.locked) return;
+
+    const look = this.el.components["look-controls"];
+    if (!look || !look.data.enabled) {
+      this.unlock();
+      return;
+    }
+
+    // Smoothing is per 60Hz frame, so it feels the same at any frame rate
+    const smoothing = THREE.MathUtils.clamp(this.data.smoothing, 0, 0.9);
+    const amount = 1 - Math.pow(smoothing, timeDelta / (1000 / 60));
+    const turnX = this.pending.x * amount;
+    const turnY = this.pending.y * amount;
+    this.pending.x -= turnX;
+    this.pending.y -= turnY;
+
+    const pitch = look.pitchObject.rotation;
+    look.yawObject.rotation.y += turnX;
+    pitch.x = THREE.MathUtils.clamp(pitch.x + turnY, -Math.PI / 2, Math.PI / 2);
+
+    // look-controls may already have ticked this frame
+    look.updateOrientation();
+  },
+
+  remove: function () {
+    this.unlock();
+    window.removeEventListener("mousedown", this.onMouseDown);
+    document.removeEventListener("mousemove", this.onMouseMove);
+    document.removeEventListener("pointerlockchange", this.onLockChange);
+  },
+});
+
+// Quake-style console variables. A cvar is "component.property" and binds to
+// that property on every entity carrying the component; values are checked
+// against the schema type. seta also saves the value for next time, and any
+// cvar can be set at startup from the URL (?fps-controller.speed=8).
+AFRAME.registerSystem("cvars", {
+  storageKey: "cvars",
+
+  // Listed by cvarlist before anything has touched them
+  defaults: [
+    "fps-controller.speed",
+    "fps-controller.jumpForce",
+    "fps-controller.gravity",
+    "pixel-sorter.threshold",
+    "pixel-sorter.sortLength",
+    "ascii-shader.fontSize",
+    "ascii-shader.characters",
+    "dithered-fog.near",
+    "dithered-fog.far",
+    "input-settings.deadZone",
+    "input-settings.lookSpeed",
+    "input-settings.invertY",
+    "mouse-look.pointerLock",
+    "mouse-look.sensitivity",
+    "mouse-look.invertY",
+    "mouse-look.smoothing",
+    "mouse-look.fov",
+  ],
+
+  init: function () {
+    this.cvars = new Map();
+    this.persisted = this.readStorage();
+
+    this.registerCommands();
+    this.el.addEventListener("loaded", () => this.applyStartup());
+  },
+
+  // Saved values first, then the URL on top of them. Defaults are captured
+  // before either, so reset goes back to what the page sets.
+  applyStartup: function () {
+    this.defaults.forEach((name) => this.get(name));
+
+    const values = Object.assign({}, this.persisted);
+    new URLSearchParams(window.location.search).forEach((value, key) => {
+      if (key.includes(".")) values[key] = value;
+    });
+
+    Object.keys(values).forEach((name) => {
+      try {
+        this.set(name, values[name]);
+      } catch (error) {
+        console.warn(`Ignoring cvar ${name}: ${error.message}`);
+      }
+    });
+  },
+
+  getEntities: function (componentName) {
+    return [this.el]
+      .concat(Array.from(this.el.querySelectorAll(`[${componentName}]`)))
+      .filter((el) => el.components && el.components[componentName]);
+  },
+
+  // The cvar called name, bound on first use; null if nothing in the scene
+  // has that component property
+  get: function (name) {
+    if (this.cvars.has(name)) return this.cvars.get(name);
+
+    const [componentName, property] = name.split(".");
+    const el = this.getEntities(componentName)[0];
+    const component = el && el.components[componentName];
+    if (!component || component.isSingleProperty) return null;
+
+    const schema = component.schema[property];
+    if (!schema) return null;
+
+    const cvar = {
+      name: name,
+      component: componentName,
+      property: property,
+      schema: schema,
+      default: schema.stringify(component.data[property]),
+    };
+    this.cvars.set(name, cvar);
+    return cvar;
+  },
+
+  getValue: function (cvar) {
+    const el = this.getEntities(cvar.component)[0];
+    return el
+      ? cvar.schema.stringify(el.components[cvar.component].data[cvar.property])
+      : cvar.default;
+  },
+
+  // Numbers and booleans are checked strictly (the schema would quietly
+  // turn "abc" into NaN); everything else goes through the schema's parser
+  parse: function (cvar, text) {
+    const schema = cvar.schema;
+    const argTypes = this.el.systems["game-console"].argTypes;
+    const value = ["number", "int", "boolean"].includes(schema.type)
+      ? argTypes[schema.type](text)
+      : schema.parse(text);
+
+    if (schema.oneOf && !schema.oneOf.includes(value)) {
+      throw new Error(`must be one of: ${schema.oneOf.join(", ")}`);
+    }
+    return value;
+  },
+
+  set: function (name, text, persist) {
+    const cvar = this.get(name);
+    if (!cvar) throw new Error(`Unknown cvar: ${name}`);
+
+    const value = this.parse(cvar, text);
+    this.getEntities(cvar.component).forEach((el) => {
+      el.setAttribute(cvar.component, cvar.property, value);
+    });
+
+    if (persist) {
+      this.persisted[name] = cvar.schema.stringify(value);
+      this.writeStorage();
+    }
+    return cvar;
+  },
+
+  reset: function (name) {
+    const cvar = this.get(name);
+    if (!cvar) throw new Error(`Unknown cvar: ${name}`);
+
+    this.set(name, cvar.default);
+    delete this.persisted[name];
+    this.writeStorage();
+  },
+
+  list: function (filter) {
+    this.defaults.forEach((name) => this.get(name));
+
+    return Array.from(this.cvars.values())
+      .filter((cvar) => !filter || cvar.name.includes(filter))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  readStorage: function () {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  },
+
+  writeStorage: function () {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.persisted));
+  },
+
+  registerCommands: function () {
+    const commands = this.el.systems["game-console"];
+    const cvarArg = {
+      name: "cvar",
+      values: () => this.list().map((cvar) => cvar.name),
+    };
+    const valueArg = {
+      name: "value",
+      rest: true,
+      values: (tokens) => {
+        const cvar = this.get(tokens[0]);
+        if (!cvar) return [];
+        if (cvar.schema.oneOf) return cvar.schema.oneOf.map(String);
+        return cvar.schema.type === "boolean" ? ["on", "off"] : [];
+      },
+    };
+    const describe = (cvar) =>
+      `${cvar.name} = ${this.getValue(cvar)} (default ${cvar.default}, ${cvar.schema.type})`;
+
+    [
+      { name: "set", persist: false, description: "Set a cvar" },
+      {
+        name: "seta",
+        persist: true,
+        description: "Set a cvar and keep it for next time",
+      },
+    ].forEach((command) => {
+      commands.register({
+        name: command.name,
+        description: command.description,
+        args: [cvarArg, valueArg],
+        run: (args, gameConsole) => {
+          try {
+            gameConsole.print(
+              describe(this.set(args.cvar, args.value, command.persist)),
+            );
+          } catch (error) {
+            gameConsole.print(`${args.cvar}: ${error.message}`);
+          }
+        },
+      });
+    });
+
+    commands.register({
+      name: "get",
+      description: "Show a cvar's value",
+      args: [cvarArg],
+      run: (args, gameConsole) => {
+        const cvar = this.get(args.cvar);
+        gameConsole.print(cvar ? describe(cvar) : `Unknown cvar: ${args.cvar}`);
+      },
+    });
+
+    commands.register({
+      name: "reset",
+      description: "Put a cvar (or all of them) back to its default",
+      args: [
+        {
+          name: "cvar",
+          values: () => ["all"].concat(this.list().map((cvar) => cvar.name)),
+        },
+      ],
+      run: (args, gameConsole) => {
+        try {
+          const names =
+            args.cvar === "all"
+              ? this.list().map((cvar) => cvar.name)
+              : [args.cvar];
+          names.forEach((name) => this.reset(name));
+          gameConsole.print(
+            args.cvar === "all"
+              ? "All cvars reset"
+              : describe(this.get(args.cvar)),
+          );
+        } catch (error) {
+          gameConsole.print(error.message);
+        }
+      },
+    });
+
+    commands.register({
+      name: "cvarlist",
+      description: "List cvars (any component.property also works)",
+      args: [{ name: "filter", optional: true }],
+      run: (args, gameConsole) => {
+        this.list(args.filter).forEach((cvar) => {
+          const saved = this.persisted[cvar.name] !== undefined ? " *" : "";
+          gameConsole.print(`  ${cvar.name} = ${this.getValue(cvar)}${saved}`);
+        });
+        gameConsole.print("* saved with seta");
+      },
+    });
+  },
+});
+
+// Player settings behind the pause menu: graphics, controls and audio. Each
+// setting reads and writes the live value where it already lives (a
+// component, a system) so changes apply at once, and only the ones the
+// player has changed are kept in localStorage and reapplied on load. The
+// page's own values are captured first, so reset goes back to them. Control
+// settings are cvars, so those are saved by the cvars system as if set with
+// seta. Audio volumes live here for whatever plays sound; settings-changed
+// says when.
+AFRAME.registerSystem("settings", {
+  storageKey: "settings",
+
+  init: function () {
+    this.values = this.readStorage();
+    this.defaults = {};
+    this.resolutionScale = 1;
+    this.size = new THREE.Vector2();
+    this.audio = { master: 1, effects: 1, ambient: 1, muted: false };
+
+    // The drawing buffer cap depends on the canvas size
+    this.onResize = () => this.applyResolution();
+
+    this.el.addEventListener("loaded", () => this.applyStartup());
+    this.el.addEventListener("rendererresize", this.onResize);
+  },
+
+  readStorage: function () {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  },
+
+  writeStorage: function () {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.values));
+  },
+
+  applyStartup: function () {
+    this.getDefinitions().forEach((setting) => {
+      this.defaults[setting.key] = setting.get();
+    });
+
+    Object.keys(this.values).forEach((key) => {
+      const setting = this.getDefinition(key);
+      if (setting && !setting.cvar) setting.set(this.values[key]);
+    });
+  },
+
+  // A setting that is a cvar reads and writes through the cvars system
+  cvarSetting: function (name) {
+    const cvars = this.el.systems.cvars;
+
+    return {
+      cvar: name,
+      get: () => {
+        const cvar = cvars.get(name);
+        return cvar ? cvar.schema.parse(cvars.getValue(cvar)) : undefined;
+      },
+      set: (value) => {
+        if (cvars.get(name)) cvars.set(name, String(value), true);
+      },
+    };
+  },
+
+  // { key, section, label, type (range/toggle), min, max, step, get, set }
+  getDefinitions: function () {
+    const settings = [
+      {
+        key: "graphics.resolutionScale",
+        label: "Resolution scale",
+        min: 0.25,
+        max: 1,
+        step: 0.05,
+        get: () => this.resolutionScale,
+        set: (value) => {
+          this.resolutionScale = value;
+          this.applyResolution();
+        },
+      },
+      Object.assign(
+        { key: "graphics.fogDistance", label: "Fog distance" },
+        { min: 20, max: 400, step: 10 },
+        this.fogSetting(),
+      ),
+      {
+        key: "graphics.cullingDistance",
+        label: "Culling distance (0 = fog)",
+        min: 0,
+        max: 500,
+        step: 10,
+        get: () => this.el.systems.culling.data.distance,
+        // (A system takes its whole data; a property name on its own is lost)
+        set: (value) => {
+          const data = this.el.systems.culling.data;
+          this.el.setAttribute(
+            "culling",
+            Object.assign({}, data, { distance: value }),
+          );
+        },
+      },
+      Object.assign(
+        { key: "controls.sensitivity", label: "Mouse sensitivity" },
+        { min: 0.1, max: 3, step: 0.05 },
+        this.cvarSetting("mouse-look.sensitivity"),
+      ),
+      Object.assign(
+        { key: "controls.invertY", label: "Invert mouse Y", type: "toggle" },
+        this.cvarSetting("mouse-look.invertY"),
+      ),
+      Object.assign(
+        { key: "controls.smoothing", label: "Mouse smoothing" },
+        { min: 0, max: 0.9, step: 0.05 },
+        this.cvarSetting("mouse-look.smoothing"),
+      ),
+      Object.assign(
+        { key: "controls.fov", label: "Field of view" },
+        { min: 50, max: 110, step: 1 },
+        this.cvarSetting("mouse-look.fov"),
+      ),
+      Object.assign(
+        { key: "controls.pointerLock", label: "Lock pointer", type: "toggle" },
+        this.cvarSetting("mouse-look.pointerLock"),
+      ),
+      Object.assign(
+        { key: "controls.lookSpeed", label: "Gamepad look speed" },
+        { min: 45, max: 360, step: 15 },
+        this.cvarSetting("input-settings.lookSpeed"),
+      ),
+      Object.assign(
+        { key: "controls.padInvertY", label: "Invert gamepad Y" },
+        { type: "toggle" },
+        this.cvarSetting("input-settings.invertY"),
+      ),
+      Object.assign(
+        { key: "controls.deadZone", label: "Gamepad dead zone" },
+        { min: 0, max: 0.5, step: 0.01 },
+        this.cvarSetting("input-settings.deadZone"),
+      ),
+    ];
+
+    // One toggle per post effect
+    this.el.systems.postfx.list().forEach((effect) => {
+      settings.push({
+        key: `graphics.effects.${effect.name}`,
+        label: `Effect: ${effect.name}`,
+        type: "toggle",
+        get: () => {
+          const current = this.el.systems.postfx.get(effect.name);
+          return !!current && current.component.data.enabled;
+        },
+        set: (value) => this.el.systems.postfx.enable(effect.name, value),
+      });
+    });
+
+    [
+      ["master", "Master volume"],
+      ["effects", "Effects volume"],
+      ["ambient", "Ambient volume"],
+    ].forEach(([name, label]) => {
+      settings.push({
+        key: `audio.${name}`,
+        label: label,
+        min: 0,
+        max: 1,
+        step: 0.05,
+        get: () => this.audio[name],
+        set: (value) => {
+          this.audio[name] = value;
+        },
+      });
+    });
+    settings.push({
+      key: "audio.muted",
+      label: "Mute",
+      type: "toggle",
+      get: () => this.audio.muted,
+      set: (value) => {
+        this.audio.muted = value;
+      },
+    });
+
+    settings.forEach((setting) => {
+      setting.section = setting.key.split(".")[0];
+      setting.type = setting.type || "range";
+    });
+    return settings;
+  },
+
+  getDefinition: function (key) {
+    return this.getDefinitions().find((setting) => setting.key === key);
+  },
+
+  // Keeps the near/far ratio the page set, so the dithered bands stay put
+  fogSetting: function () {
+    const getFog = () => this.el.components["dithered-fog"];
+
+    return {
+      get: () => {
+        const fog = getFog();
+        return fog ? fog.data.far : undefined;
+      },
+      set: (far) => {
+        const fog = getFog();
+        if (!fog) return;
+        const ratio = fog.data.far > 0 ? fog.data.near / fog.data.far : 0.25;
+        this.el.setAttribute("dithered-fog", { near: far * ratio, far: far });
+      },
+    };
+  },
+
+  get: function (key) {
+    const setting = this.getDefinition(key);
+    return setting ? setting.get() : undefined;
+  },
+
+  set: function (key, value) {
+    const setting = this.getDefinition(key);
+    if (!setting) throw new Error(`Unknown setting: ${key}`);
+
+    setting.set(value);
+    if (!setting.cvar) {
+      this.values[key] = value;
+      this.writeStorage();
+    }
+    this.el.emit("settings-changed", { key: key, value: value });
+  },
+
+  // Everything back to how the page set it up
+  reset: function () {
+    const cvars = this.el.systems.cvars;
+
+    this.getDefinitions().forEach((setting) => {
+      if (setting.cvar) {
+        if (cvars.get(setting.cvar)) cvars.reset(setting.cvar);
+      } else if (setting.key in this.values && setting.key in this.defaults) {
+        setting.set(this.defaults[setting.key]);
+      }
+    });
+    this.values = {};
+    this.writeStorage();
+    this.el.emit("settings-changed", {});
+  },
+
+  // A fraction of the device's pixel ratio, never past the renderer's
+  // maxCanvasWidth/maxCanvasHeight in actual pixels
+  applyResolution: function () {
+    const renderer = this.el.renderer;
+    if (!renderer || renderer.xr.isPresenting) return;
+
+    const max = this.el.maxCanvasSize || { width: -1, height: -1 };
+    const size = renderer.getSize(this.size);
+    let ratio = window.devicePixelRatio * this.resolutionScale;
+    if (max.width > 0 && size.x > 0) {
+      ratio = Math.min(ratio, max.width / size.x);
+    }
+    if (max.height > 0 && size.y > 0) {
+      ratio = Math.min(ratio, max.height / size.y);
+    }
+
+    if (renderer.getPixelRatio() !== ratio) renderer.setPixelRatio(ratio);
+  },
+
+  remove: function () {
+    this.el.removeEventListener("rendererresize", this.onResize);
+  },
+});
+
+// Escape (the menu action) pauses the whole scene behind a settings menu,
+// built from the settings system's list plus the input bindings. Losing the
+// pointer lock mid-game (Escape in most browsers, or alt-tab) opens it too.
+AFRAME.registerComponent("pause-menu", {
+  init: function () {
+    this.isOpen = false;
+    this.openedAt = 0;
+    this.controllerWasPaused = false;
+    this.pollFrame = null;
+
+    this.menuDiv = document.createElement("div");
+    this.menuDiv.id = "pause-menu";
+    this.menuDiv.innerHTML = `
+      <div id="pause-menu-panel">
+        <h2>Paused</h2>
+        <div id="pause-menu-settings"></div>
+        <div id="pause-menu-buttons">
+          <button data-action="resume">Resume</button>
+          <button data-action="reset-settings">Reset settings</button>
+          <button data-action="reset-bindings">Reset bindings</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(this.menuDiv);
+    this.content = document.getElementById("pause-menu-settings");
+
+    this.menuDiv.querySelectorAll("button[data-action]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const action = button.dataset.action;
+        if (action === "resume") this.close();
+        if (action === "reset-settings") this.el.systems.settings.reset();
+        if (action === "reset-bindings") {
+          this.el.systems["input-actions"].resetBindings();
+        }
+        this.render();
+      });
+    });
+
+    this.onActionDown = (event) => {
+      if (event.detail.action !== "menu") return;
+
+      // Escape in the console closes the console
+      const gameConsole = this.el.components["game-console"];
+      if (gameConsole && gameConsole.isOpen) {
+        gameConsole.toggle();
+        return;
+      }
+
+      if (!this.isOpen) {
+        this.open();
+      } else if (performance.now() - this.openedAt > 250) {
+        // (The same Escape can arrive as both a lost lock and a keydown)
+        this.close();
+      }
+    };
+    this.onLockChange = (event) => {
+      const camera = this.el.querySelector("[camera]");
+      const look = camera && camera.components["look-controls"];
+      if (event.detail.locked || !look || !look.data.enabled) return;
+      this.open();
+    };
+
+    this.el.addEventListener("action-down", this.onActionDown);
+    this.el.addEventListener("pointer-lock-changed", this.onLockChange);
+  },
+
+  open: function () {
+    const scene = this.el;
+    const gameConsole = scene.components["game-console"];
+    if (this.isOpen || !scene.isPlaying || scene.is("editing")) return;
+    if (gameConsole && gameConsole.isOpen) return;
+
+    this.isOpen = true;
+    this.openedAt = performance.now();
+
+    // The scene keeps rendering but nothing ticks; the player's own paused
+    // state (campath playback, say) comes back on resume
+    const player = scene.querySelector("[fps-controller]");
+    const controller = player && player.components["fps-controller"];
+    this.controllerWasPaused = !!controller && controller.isPaused;
+    scene.pause();
+    scene.addState("menu");
+
+    if (document.pointerLockElement) document.exitPointerLock();
+
+    this.render();
+    this.menuDiv.classList.add("active");
+
+    // Systems don't tick while paused, so poll the gamepad for Start here
+    const poll = () => {
+      this.el.systems["input-actions"].pollGamepads();
+      this.pollFrame = requestAnimationFrame(poll);
+    };
+    this.pollFrame = requestAnimationFrame(poll);
+  },
+
+  close: function () {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.menuDiv.classList.remove("active");
+    cancelAnimationFrame(this.pollFrame);
+    this.pollFrame = null;
+
+    const scene = this.el;
+    scene.removeState("menu");
+    scene.play();
+
+    const player = scene.querySelector("[fps-controller]");
+    const controller = player && player.components["fps-controller"];
+    if (controller && this.controllerWasPaused) controller.pause();
+
+    // Keep keys from going to the menu's controls
+    if (document.activeElement) document.activeElement.blur();
+  },
+
+  // Rebuilt on every open: effects and bindings can change at any time
+  render: function () {
+    const settings = this.el.systems.settings;
+    const input = this.el.systems["input-actions"];
+    const titles = {
+      graphics: "Graphics",
+      controls: "Controls",
+      audio: "Audio",
+    };
+
+    this.content.innerHTML = "";
+    const sections = {};
+    const getSection = (name) => {
+      if (!sections[name]) {
+        const heading = document.createElement("h3");
+        heading.textContent = titles[name] || name;
+        sections[name] = document.createElement("div");
+        this.content.appendChild(heading);
+        this.content.appendChild(sections[name]);
+      }
+      return sections[name];
+    };
+
+    settings.getDefinitions().forEach((setting) => {
+      const value = setting.get();
+      if (value === undefined) return; // Nothing in the scene to set
+
+      const row = document.createElement("label");
+      row.className = "pause-menu-row";
+      const name = document.createElement("span");
+      name.textContent = setting.label;
+      const field = document.createElement("input");
+      const shown = document.createElement("span");
+      shown.className = "pause-menu-value";
+
+      if (setting.type === "toggle") {
+        field.type = "checkbox";
+        field.checked = value;
+        field.addEventListener("change", () => {
+          settings.set(setting.key, field.checked);
+        });
+      } else {
+        const format = (number) =>
+          setting.step < 1 ? number.toFixed(2) : String(number);
+        field.type = "range";
+        field.min = setting.min;
+        field.max = setting.max;
+        field.step = setting.step;
+        field.value = value;
+        shown.textContent = format(value);
+        field.addEventListener("input", () => {
+          settings.set(setting.key, Number(field.value));
+          shown.textContent = format(Number(field.value));
+        });
+      }
+
+      row.append(name, field, shown);
+      getSection(setting.section).appendChild(row);
+    });
+
+    // Click an action, then press the key or gamepad button for it
+    const bindings = getSection("Bindings");
+    input.getActions().forEach((action) => {
+      const row = document.createElement("div");
+      row.className = "pause-menu-row";
+      const name = document.createElement("span");
+      name.textContent = action;
+      const button = document.createElement("button");
+      button.textContent =
+        input
+          .getBindings(action)
+          .map((binding) => input.describe(binding))
+          .join(", ") || "(unbound)";
+      button.addEventListener("click", () => {
+        button.textContent = "Press a key or button (Escape cancels)";
+        button.blur();
+        input.capture(action, () => this.render());
+      });
+
+      row.append(name, button);
+      bindings.appendChild(row);
+    });
+  },
+
+  remove: function () {
+    this.close();
+    this.el.removeEventListener("action-down", this.onActionDown);
+    this.el.removeEventListener("pointer-lock-changed", this.onLockChange);
+    if (this.menuDiv.parentNode) {
+      this.menuDiv.parentNode.removeChild(this.menuDiv);
+    }
+  },
+});
+
+// In-world editor behind "gamemode edit": click to select, gizmos to move,
+// rotate and scale (snapped to a grid), duplicate and delete, and a panel
+// for the selected entity's component properties. The player flies in
+// noclip and drag-looks as usual while editing.
+AFRAME.registerSystem("editor", {
+  schema: {
+    snap: { default: true },
+    grid: { type: "number", default: 0.5 },
+    rotationSnap: { type: "number", default: 15 }, // Degrees
+    scaleSnap: { type: "number", default: 0.1 },
+  },
+
+  modeKeys: { Digit1: "translate", Digit2: "rotate", Digit3: "scale" },
+
+  init: function () {
+    this.active = false;
+    this.selected = null;
+    this.changed = false; // Collision needs rebuilding on the way out
+    this.usedGizmo = false;
+    this.bindings = [];
+    this.raycaster = new THREE.Raycaster();
+    this.pointer = new THREE.Vector2();
+    this.pointerStart = new THREE.Vector2();
+
+    this.panel = document.createElement("div");
+    this.panel.id = "editor-panel";
+    document.body.appendChild(this.panel);
+
+    this.onPointerDown = (event) => {
+      if (event.button === 0) {
+        this.pointerStart.set(event.clientX, event.clientY);
+      }
+    };
+
+    this.onPointerUp = (event) => {
+      if (event.button !== 0) return;
+
+      // Releasing a gizmo handle isn't a click on whatever is behind it
+      if (this.usedGizmo) {
+        this.usedGizmo = false;
+        return;
+      }
+
+      // Dragging looks around, only a click picks
+      const dx = event.clientX - this.pointerStart.x;
+      const dy = event.clientY - this.pointerStart.y;
+      if (dx * dx + dy * dy > 16) return;
+
+      this.select(this.pick(event));
+    };
+
+    this.onKeyDown = (event) => {
+      if (event.target.matches && event.target.matches("input, select")) {
+        return;
+      }
+
+      if (this.modeKeys[event.code]) {
+        this.controls.setMode(this.modeKeys[event.code]);
+      } else if (event.code === "KeyX") {
+        this.controls.setSpace(
+          this.controls.space === "local" ? "world" : "local",
+        );
+      } else if (event.code === "KeyG") {
+        // (The scene drops a property name for systems; pass the whole data)
+        this.el.setAttribute(
+          "editor",
+          Object.assign({}, this.data, { snap: !this.data.snap }),
+        );
+      } else if (event.code === "KeyD" && (event.ctrlKey || event.metaKey)) {
+        event.preventDefault();
+        this.duplicate();
+      } else if (event.code === "Delete" || event.code === "Backspace") {
+        this.deleteSelected();
+      } else if (event.code === "Escape") {
+        this.select(null);
+      } else {
+        return;
+      }
+      this.renderPanel();
+    };
+
+    // Typing into the panel shouldn't walk the player around
+    this.panel.addEventListener("focusin", () => this.setPlayerPaused(true));
+    this.panel.addEventListener("focusout", () => this.setPlayerPaused(false));
+
+    this.onComponentChanged = () => this.refreshPanel();
+  },
+
+  update: function () {
+    if (this.controls) this.applySnap();
+    this.renderPanel();
+  },
+
+  tick: function () {
+    // Removed from under us (console, level reload)
+    if (this.selected && !this.selected.isConnected) this.select(null);
+  },
+
+  createControls: function () {
+    const controls = new TransformControls(this.el.camera, this.el.canvas);
+
+    controls.addEventListener("mouseDown", () => {
+      this.usedGizmo = true;
+    });
+    controls.addEventListener("dragging-changed", (event) => {
+      // Hold the view still while a handle is being dragged
+      this.setLook(!event.value);
+      if (!event.value) this.commit();
+    });
+    controls.addEventListener("objectChange", () => this.syncTransform());
+
+    this.controls = controls;
+    this.applySnap();
+  },
+
+  applySnap: function () {
+    const snap = this.data.snap;
+    this.controls.setTranslationSnap(snap ? this.data.grid : null);
+    this.controls.setRotationSnap(
+      snap ? THREE.MathUtils.degToRad(this.data.rotationSnap) : null,
+    );
+    this.controls.setScaleSnap(snap ? this.data.scaleSnap : null);
+  },
+
+  enter: function () {
+    if (this.active) return;
+    this.active = true;
+
+    if (this.controls) {
+      this.controls.connect();
+    } else {
+      this.createControls();
+    }
+    this.controls.camera = this.el.camera;
+    this.el.object3D.add(this.controls.getHelper());
+
+    this.el.canvas.addEventListener("pointerdown", this.onPointerDown);
+    this.el.canvas.addEventListener("pointerup", this.onPointerUp);
+    window.addEventListener("keydown", this.onKeyDown);
+
+    // Edit the pieces themselves, not the merged copies
+    this.batchers = Array.from(this.el.querySelectorAll("[static-batch]"));
+    this.batchers = this.batchers.filter(
+      (el) => el.getAttribute("static-batch").enabled,
+    );
+    this.batchers.forEach((el) =>
+      el.setAttribute("static-batch", "enabled", false),
+    );
+
+    const player = this.el.querySelector("[fps-controller]");
+    if (player) {
+      this.wasNoclip = player.getAttribute("fps-controller").noclip;
+      player.setAttribute("fps-controller", "noclip", true);
+    }
+
+    this.el.addState("editing");
+    this.renderPanel();
+    this.el.emit("editor-mode", { active: true });
+  },
+
+  exit: function () {
+    if (!this.active) return;
+
+    this.select(null);
+    this.active = false;
+
+    this.controls.disconnect();
+    this.el.object3D.remove(this.controls.getHelper());
+
+    this.el.canvas.removeEventListener("pointerdown", this.onPointerDown);
+    this.el.canvas.removeEventListener("pointerup", this.onPointerUp);
+    window.removeEventListener("keydown", this.onKeyDown);
+
+    if (this.changed) {
+      this.el.systems["collision-mesh"].rebuild();
+      this.changed = false;
+    }
+
+    this.batchers.forEach((el) =>
+      el.setAttribute("static-batch", "enabled", true),
+    );
+
+    const player = this.el.querySelector("[fps-controller]");
+    if (player) {
+      player.setAttribute("fps-controller", "noclip", this.wasNoclip);
+    }
+
+    this.el.removeState("editing");
+    this.renderPanel();
+    this.el.emit("editor-mode", { active: false });
+  },
+
+  // The editable entity under the pointer, if any
+  pick: function (event) {
+    const rect = this.el.canvas.getBoundingClientRect();
+    this.pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    this.raycaster.setFromCamera(this.pointer, this.el.camera);
+
+    const hits = this.raycaster.intersectObject(this.el.object3D, true);
+    for (const hit of hits) {
+      const el = this.getEditable(hit.object);
+      if (el) return el;
+    }
+    return null;
+  },
+
+  // The entity owning a hit object, skipping hidden things (the raycaster
+  // doesn't), the sky and the player
+  getEditable: function (object) {
+    let el = null;
+    for (let node = object; node; node = node.parent) {
+      if (!node.visible) return null;
+      if (!el && node.el) el = node.el;
+    }
+
+    if (!el || el === this.el || el.matches("a-sky")) return null;
+    if (el.closest("[fps-controller]")) return null;
+    return el;
+  },
+
+  select: function (el) {
+    if (el === this.selected) return;
+
+    if (this.selected) {
+      this.selected.removeEventListener(
+        "componentchanged",
+        this.onComponentChanged,
+      );
+    }
+
+    this.selected = el;
+    if (el) {
+      this.controls.attach(el.object3D);
+      el.addEventListener("componentchanged", this.onComponentChanged);
+    } else if (this.controls) {
+      this.controls.detach();
+    }
+
+    this.renderPanel();
+    this.el.emit("editor-select", { el: el });
+  },
+
+  // The gizmo moves object3D directly; mirror it into the components so
+  // the panel, the DOM and later saves see it
+  syncTransform: function () {
+    const el = this.selected;
+    const object3D = el.object3D;
+    const rotation = object3D.rotation;
+    const toDegrees = THREE.MathUtils.radToDeg;
+
+    el.setAttribute("position", object3D.position.clone());
+    el.setAttribute("rotation", {
+      x: toDegrees(rotation.x),
+      y: toDegrees(rotation.y),
+      z: toDegrees(rotation.z),
+    });
+    el.setAttribute("scale", object3D.scale.clone());
+
+    // Physics would pull the body straight back otherwise
+    if (el.body) {
+      const position = object3D.getWorldPosition(new THREE.Vector3());
+      const quaternion = object3D.getWorldQuaternion(new THREE.Quaternion());
+      el.body.position.set(position.x, position.y, position.z);
+      el.body.quaternion.set(
+        quaternion.x,
+        quaternion.y,
+        quaternion.z,
+        quaternion.w,
+      );
+      el.body.velocity.set(0, 0, 0);
+      el.body.angularVelocity.set(0, 0, 0);
+    }
+  },
+
+  // A drag (or duplicate/delete) finished
+  commit: function (type = "transform", el = this.selected) {
+    this.changed = true;
+
+    const levelLoader = this.getLevelLoader(el);
+    if (levelLoader && type === "transform") levelLoader.updatePiece(el);
+
+    this.el.emit("editor-change", { type: type, el: el });
+  },
+
+  getLevelLoader: function (el) {
+    const parent = el && el.parentNode;
+    const levelLoader =
+      parent && parent.components ? parent.components["level-loader"] : null;
+    return levelLoader && levelLoader.isPiece(el) ? levelLoader : null;
+  },
+
+  duplicate: function () {
+    const source = this.selected;
+    if (!source) return;
+
+    const offset = (copy) => {
+      const position = source.object3D.position.clone();
+      position.x += this.data.grid || 1;
+      copy.setAttribute("position", position);
+    };
+
+    // Level pieces get their own manifest entry so materials load the same way
+    const levelLoader = this.getLevelLoader(source);
+    if (levelLoader) {
+      levelLoader.duplicatePiece(source).then((copy) => {
+        if (!copy || !this.active) return;
+        offset(copy);
+        this.select(copy);
+        this.commit("duplicate", copy);
+      });
+      return;
+    }
+
+    source.flushToDOM(true);
+    const copy = source.cloneNode(true);
+    copy.removeAttribute("id");
+    copy.querySelectorAll("[id]").forEach((el) => el.removeAttribute("id"));
+    copy.setAttribute("data-spawned", "");
+    offset(copy);
+    source.parentNode.insertBefore(copy, source.nextSibling);
+
+    this.select(copy);
+    this.commit("duplicate", copy);
+  },
+
+  deleteSelected: function () {
+    const el = this.selected;
+    if (!el) return;
+
+    const levelLoader = this.getLevelLoader(el);
+    this.select(null);
+
+    if (levelLoader) {
+      levelLoader.removePiece(el);
+    } else if (el.parentNode) {
+      el.parentNode.removeChild(el);
+    }
+    this.commit("delete", el);
+  },
+
+  setLook: function (enabled) {
+    const camera = this.el.querySelector("[camera]");
+    if (camera) camera.setAttribute("look-controls", "enabled", enabled);
+  },
+
+  setPlayerPaused: function (paused) {
+    const player = this.el.querySelector("[fps-controller]");
+    if (!player) return;
+
+    const controller = player.components["fps-controller"];
+    if (paused) {
+      controller.pause();
+    } else {
+      controller.play();
+    }
+  },
+
+  renderPanel: function () {
+    const panel = this.panel;
+    const el = this.selected;
+
+    panel.classList.toggle("active", this.active);
+    panel.innerHTML = "";
+    this.bindings = [];
+    if (!this.active) return;
+
+    const controls = this.controls;
+    const status = document.createElement("div");
+    status.className = "editor-status";
+    status.textContent =
+      `EDIT - ${controls.mode} (1/2/3), ${controls.space} (X), ` +
+      `snap ${this.data.snap ? this.data.grid : "off"} (G)`;
+    panel.appendChild(status);
+
+    const hint = document.createElement("div");
+    hint.className = "editor-hint";
+    hint.textContent = el
+      ? "Ctrl+D duplicate, Del delete, Esc deselect"
+      : "Click an entity to select it";
+    panel.appendChild(hint);
+
+    if (!el) return;
+
+    const title = document.createElement("h3");
+    title.textContent =
+      el.id || el.dataset.levelPiece || el.tagName.toLowerCase();
+    panel.appendChild(title);
+
+    Object.keys(el.components).forEach((name) => {
+      const component = el.components[name];
+      const section = document.createElement("fieldset");
+      const legend = document.createElement("legend");
+      legend.textContent = name;
+      section.appendChild(legend);
+
+      if (component.isSingleProperty) {
+        section.appendChild(this.createField(component, null));
+      } else {
+        Object.keys(component.schema).forEach((prop) => {
+          section.appendChild(this.createField(component, prop));
+        });
+      }
+      panel.appendChild(section);
+    });
+  },
+
+  // One label + input bound to a component property; A-Frame parses the
+  // typed string with the property's own schema type
+  createField: function (component, prop) {
+    const schema = prop ? component.schema[prop] : component.schema;
+    const row = document.createElement("label");
+    const input = document.createElement("input");
+
+    row.textContent = prop || "value";
+    if (schema.type === "boolean") input.type = "checkbox";
+
+    input.addEventListener("change", () => {
+      const value = input.type === "checkbox" ? input.checked : input.value;
+      if (prop) {
+        component.el.setAttribute(component.attrName, prop, value);
+      } else {
+        component.el.setAttribute(component.attrName, value);
+      }
+      this.commit("property");
+    });
+
+    row.appendChild(input);
+    this.bindings.push({ component, prop, schema, input });
+    this.refreshField(this.bindings[this.bindings.length - 1]);
+    return row;
+  },
+
+  refreshField: function (binding) {
+    const { component, prop, schema, input } = binding;
+    const value = prop ? component.data[prop] : component.data;
+
+    if (input.type === "checkbox") {
+      input.checked = !!value;
+    } else {
+      input.value = schema.stringify(value);
+    }
+  },
+
+  // Keep the values current while gizmos drag, without clobbering typing
+  refreshPanel: function () {
+    this.bindings.forEach((binding) => {
+      if (binding.input !== document.activeElement) {
+        this.refreshField(binding);
+      }
+    });
+  },
+});
+
+// Saves and restores the scene layout: transforms, components and physics
+// state of every entity, plus the pieces of each level-loader. Entities from
+// the page are matched back up by id, or by position among their siblings;
+// spawned ones (data-spawned) are removed and recreated. Named slots live in
+// localStorage, and layouts can be exported and imported as JSON files.
+AFRAME.registerSystem("layout", {
+  version: 1,
+  storagePrefix: "layout:",
+  transformKeys: ["position", "rotation", "scale"],
+
+  serialize: function () {
+    return {
+      version: this.version,
+      savedAt: new Date().toISOString(),
+      entities: this.getChildren(this.el).map((el) =>
+        this.serializeEntity(el, false),
+      ),
+    };
+  },
+
+  // Child entities that belong in a layout. Level pieces are saved through
+  // their loader and batched copies are rebuilt from them.
+  getChildren: function (el) {
+    const levelLoader = el.components && el.components["level-loader"];
+
+    return Array.from(el.children).filter(
+      (child) =>
+        child.isEntity &&
+        child.dataset.staticBatch === undefined &&
+        !(levelLoader && levelLoader.isPiece(child)),
+    );
+  },
+
+  serializeEntity: function (el, inSpawned) {
+    const spawned = inSpawned || el.dataset.spawned !== undefined;
+    const record = {
+      tag: el.tagName.toLowerCase(),
+      transform: this.getTransform(el),
+      components: {},
+      dataset: Object.assign({}, el.dataset),
+    };
+
+    if (el.id) record.id = el.id;
+    if (spawned) record.spawned = true;
+
+    Object.keys(el.components).forEach((name) => {
+      if (this.transformKeys.includes(name)) return;
+      const value = el.getDOMAttribute(name);
+      record.components[name] =
+        value === null || value === undefined
+          ? ""
+          : el.components[name].stringify(value);
+    });
+
+    const levelLoader = el.components["level-loader"];
+    if (levelLoader && levelLoader.manifest) {
+      record.pieces = levelLoader.manifest.pieces.map((piece) =>
+        Object.assign({}, piece),
+      );
+    }
+
+    if (el.body) {
+      const body = el.body;
+      record.body = {
+        position: [body.position.x, body.position.y, body.position.z],
+        quaternion: [
+          body.quaternion.x,
+          body.quaternion.y,
+          body.quaternion.z,
+          body.quaternion.w,
+        ],
+        velocity: [body.velocity.x, body.velocity.y, body.velocity.z],
+        angularVelocity: [
+          body.angularVelocity.x,
+          body.angularVelocity.y,
+          body.angularVelocity.z,
+        ],
+      };
+    }
+
+    record.children = this.getChildren(el).map((child) =>
+      this.serializeEntity(child, spawned),
+    );
+
+    return record;
+  },
+
+  // Read off object3D, which the controller and physics move directly
+  getTransform: function (el) {
+    const object3D = el.object3D;
+    const rotation = object3D.rotation;
+    const toDegrees = THREE.MathUtils.radToDeg;
+
+    return {
+      position: object3D.position.toArray(),
+      rotation: [
+        toDegrees(rotation.x),
+        toDegrees(rotation.y),
+        toDegrees(rotation.z),
+      ],
+      scale: object3D.scale.toArray(),
+    };
+  },
+
+  setTransform: function (el, transform) {
+    this.transformKeys.forEach((name) => {
+      const value = transform && transform[name];
+      if (value) {
+        el.setAttribute(name, { x: value[0], y: value[1], z: value[2] });
+      }
+    });
+  },
+
+  apply: function (layout) {
+    if (!layout || !Array.isArray(layout.entities)) {
+      throw new Error("Not a layout file");
+    }
+    if (layout.version > this.version) {
+      console.warn(`Layout version ${layout.version} is newer than this build`);
+    }
+
+    // Spawned entities come back from the layout, not on top of it
+    this.el.querySelectorAll("[data-spawned]").forEach((el) => {
+      if (el.parentNode) el.parentNode.removeChild(el);
+    });
+
+    this.applyChildren(this.el, layout.entities);
+    this.el.emit("layout-loaded", { layout: layout });
+  },
+
+  applyChildren: function (parent, records) {
+    const existing = this.getChildren(parent);
+    let index = 0;
+
+    records.forEach((record) => {
+      if (record.spawned) {
+        parent.appendChild(this.createEntity(record));
+        return;
+      }
+
+      const el =
+        (record.id && document.getElementById(record.id)) || existing[index];
+      index++;
+
+      if (!el || el.tagName.toLowerCase() !== record.tag) {
+        console.warn(`Layout entity not found: ${record.id || record.tag}`);
+        return;
+      }
+
+      this.applyEntity(el, record);
+      this.applyChildren(el, record.children || []);
+    });
+  },
+
+  applyEntity: function (el, record) {
+    // Unchanged values don't re-run the component (no model reloads)
+    Object.keys(record.components).forEach((name) => {
+      el.setAttribute(name, record.components[name]);
+    });
+    this.setTransform(el, record.transform);
+
+    if (record.pieces && el.components["level-loader"]) {
+      el.components["level-loader"].setPieces(record.pieces);
+    }
+    if (record.body) this.applyBody(el, record.body);
+  },
+
+  createEntity: function (record) {
+    const el = document.createElement(record.tag);
+
+    if (record.id) el.id = record.id;
+    Object.assign(el.dataset, record.dataset);
+    el.setAttribute("data-spawned", "");
+
+    Object.keys(record.components).forEach((name) => {
+      el.setAttribute(name, record.components[name]);
+    });
+    this.setTransform(el, record.transform);
+
+    if (record.body) {
+      el.addEventListener(
+        "body-loaded",
+        () => this.applyBody(el, record.body),
+        { once: true },
+      );
+    }
+
+    (record.children || []).forEach((child) => {
+      el.appendChild(this.createEntity(child));
+    });
+
+    return el;
+  },
+
+  applyBody: function (el, state) {
+    const body = el.body;
+    if (!body) return;
+
+    body.position.set(...state.position);
+    body.quaternion.set(...state.quaternion);
+    body.velocity.set(...state.velocity);
+    body.angularVelocity.set(...state.angularVelocity);
+  },
+
+  save: function (name) {
+    localStorage.setItem(
+      this.storagePrefix + name,
+      JSON.stringify(this.serialize()),
+    );
+  },
+
+  // False if there is no such slot
+  load: function (name) {
+    const text = localStorage.getItem(this.storagePrefix + name);
+    if (text === null) return false;
+
+    this.apply(JSON.parse(text));
+    return true;
+  },
+
+  list: function () {
+    const slots = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (!key.startsWith(this.storagePrefix)) continue;
+
+      let savedAt = null;
+      try {
+        savedAt = JSON.parse(localStorage.getItem(key)).savedAt;
+      } catch (error) {
+        // Listed anyway so it can be overwritten
+      }
+      slots.push({ name: key.slice(this.storagePrefix.length), savedAt });
+    }
+
+    return slots.sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  export: function (name) {
+    const blob = new Blob([JSON.stringify(this.serialize(), null, 2)], {
+      type: "application/json",
+    });
+    downloadFile(blob, `${name}.json`);
+  },
+
+  // Asks for a file and applies it, resolving with the file name (null if
+  // the picker was cancelled). Needs a user gesture, see pickJsonFile.
+  import: function () {
+    return pickJsonFile().then((file) => {
+      if (!file) return null;
+      this.apply(file.data);
+      return file.name;
+    });
+  },
+});
+
+// Named places to jump to: waypoint entities in the page plus ones saved
+// from the console (kept in localStorage, and winning over a page waypoint
+// of the same name). Each holds where the player stands and the camera's
+// yaw/pitch in degrees.
+AFRAME.registerSystem("waypoints", {
+  storageKey: "waypoints",
+
+  init: function () {
+    this.marked = new Set(); // Entities with a waypoint component
+
+    try {
+      this.saved = JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      this.saved = {};
+    }
+
+    this.registerCommands();
+  },
+
+  addMarker: function (el) {
+    this.marked.add(el);
+    this.changed();
+  },
+
+  removeMarker: function (el) {
+    this.marked.delete(el);
+    this.changed();
+  },
+
+  changed: function () {
+    this.el.emit("waypoints-changed", { waypoints: this.list() });
+  },
+
+  list: function () {
+    const waypoints = new Map();
+
+    this.marked.forEach((el) => {
+      const data = el.components.waypoint.data;
+      waypoints.set(data.name, {
+        name: data.name,
+        position: el.object3D.getWorldPosition(new THREE.Vector3()),
+        yaw: data.yaw,
+        pitch: data.pitch,
+        saved: false,
+      });
+    });
+
+    Object.keys(this.saved).forEach((name) => {
+      const waypoint = this.saved[name];
+      waypoints.set(name, {
+        name: name,
+        position: new THREE.Vector3().fromArray(waypoint.position),
+        yaw: waypoint.yaw,
+        pitch: waypoint.pitch,
+        saved: true,
+      });
+    });
+
+    return Array.from(waypoints.values());
+  },
+
+  get: function (name) {
+    return this.list().find((waypoint) => waypoint.name === name) || null;
+  },
+
+  // Saves where the player stands and looks right now
+  add: function (name) {
+    const view = this.getView();
+    this.saved[name] = {
+      position: view.position.toArray(),
+      yaw: view.yaw,
+      pitch: view.pitch,
+    };
+    this.store();
+    return this.get(name);
+  },
+
+  // Only saved waypoints can go; page ones live in the HTML
+  remove: function (name) {
+    if (!this.saved[name]) return false;
+
+    delete this.saved[name];
+    this.store();
+    return true;
+  },
+
+  store: function () {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.saved));
+    this.changed();
+  },
+
+  goto: function (name) {
+    const waypoint = this.get(name);
+    if (!waypoint) return false;
+
+    this.teleport(waypoint.position, waypoint.yaw, waypoint.pitch);
+    return true;
+  },
+
+  getPlayer: function () {
+    return this.el.querySelector("[fps-controller]");
+  },
+
+  getLook: function () {
+    const camera = this.el.querySelector("[camera]");
+    return camera && camera.components["look-controls"];
+  },
+
+  getView: function () {
+    const look = this.getLook();
+    const toDegrees = THREE.MathUtils.radToDeg;
+    const player = this.getPlayer();
+    const position = player.object3D.position.clone();
+
+    // Waypoints are stored at eye height, whatever the rig is doing
+    const controller = player.components["fps-controller"];
+    if (controller) {
+      position.y += controller.data.standHeight - controller.getRigHeight();
+    }
+
+    return {
+      position,
+      yaw: look ? toDegrees(look.yawObject.rotation.y) : 0,
+      pitch: look ? toDegrees(look.pitchObject.rotation.x) : 0,
+    };
+  },
+
+  // Moves the player rig; yaw/pitch (degrees) are left alone if undefined.
+  // look-controls rebuilds the camera rotation from its own yaw/pitch
+  // objects every frame, so those are what get turned.
+  teleport: function (position, yaw, pitch) {
+    const player = this.getPlayer();
+    if (!player) return;
+
+    player.object3D.position.copy(position);
+
+    const controller = player.components["fps-controller"];
+    if (controller) {
+      player.object3D.position.y -=
+        controller.data.standHeight - controller.getRigHeight();
+      controller.velocity.set(0, 0, 0);
+      controller.onGround = false;
+    }
+
+    const look = this.getLook();
+    if (look && yaw !== undefined) {
+      look.yawObject.rotation.y = THREE.MathUtils.degToRad(yaw);
+    }
+    if (look && pitch !== undefined) {
+      look.pitchObject.rotation.x = THREE.MathUtils.degToRad(pitch);
+    }
+
+    this.el.emit("player-teleported", { position: position.clone() });
+  },
+
+  // Stands the player a couple of metres short of an entity, facing it
+  teleportTo: function (el, distance = 2) {
+    const target = el.object3D.getWorldPosition(new THREE.Vector3());
+    const offset = this.getPlayer().object3D.position.clone().sub(target);
+
+    offset.y = 0;
+    if (offset.lengthSq() < 1e-6) offset.set(0, 0, 1);
+    offset.setLength(distance);
+
+    // The camera looks down -Z, so face back along the offset
+    const yaw = THREE.MathUtils.radToDeg(Math.atan2(offset.x, offset.z));
+    this.teleport(target.add(offset), yaw, 0);
+  },
+
+  registerCommands: function () {
+    const commands = this.el.systems["game-console"];
+    const names = () => this.list().map((waypoint) => waypoint.name);
+    const describe = (waypoint) => {
+      const p = waypoint.position;
+      return (
+        `${waypoint.name}: ${p.x.toFixed(2)} ${p.y.toFixed(2)} ${p.z.toFixed(2)}` +
+        ` yaw ${waypoint.yaw.toFixed(0)} pitch ${waypoint.pitch.toFixed(0)}` +
+        (waypoint.saved ? " (saved)" : "")
+      );
+    };
+
+    commands.register({
+      name: "tp",
+      aliases: ["teleport"],
+      description: "Teleport to x y z [yaw pitch], or to an entity id",
+      args: [
+        {
+          name: "x|entity",
+          type: "string",
+          values: () => commands.getValues({ type: "entity" }),
+        },
+        { name: "y", type: "number", optional: true },
+        { name: "z", type: "number", optional: true },
+        { name: "yaw", type: "number", optional: true },
+        { name: "pitch", type: "number", optional: true },
+      ],
+      run: (args, gameConsole) => {
+        const target = args["x|entity"];
+
+        if (args.y === undefined) {
+          const el = commands.argTypes.entity(target);
+          this.teleportTo(el);
+          gameConsole.print(`Teleported to ${target}`);
+          return;
+        }
+        if (args.z === undefined) {
+          gameConsole.print("Usage: tp <x> <y> <z> [yaw] [pitch]");
+          return;
+        }
+
+        const position = new THREE.Vector3(
+          commands.argTypes.number(target),
+          args.y,
+          args.z,
+        );
+        this.teleport(position, args.yaw, args.pitch);
+        gameConsole.print(
+          `Teleported to ${position.x} ${position.y} ${position.z}`,
+        );
+      },
+    });
+
+    commands.register({
+      name: "waypoint",
+      aliases: ["wp"],
+      description: "Save, remove or list waypoints",
+      args: [
+        {
+          name: "action",
+          type: "choice",
+          optional: true,
+          default: "list",
+          values: ["add", "remove", "list"],
+        },
+        { name: "name", optional: true, values: names },
+      ],
+      run: (args, gameConsole) => {
+        if (args.action === "list") {
+          const waypoints = this.list();
+          if (waypoints.length === 0) gameConsole.print("No waypoints");
+          waypoints.forEach((waypoint) => {
+            gameConsole.print(`  ${describe(waypoint)}`);
+          });
+        } else if (!args.name) {
+          gameConsole.print(`Usage: waypoint ${args.action} <name>`);
+        } else if (args.action === "add") {
+          gameConsole.print(`Saved ${describe(this.add(args.name))}`);
+        } else if (this.remove(args.name)) {
+          gameConsole.print(`Removed waypoint ${args.name}`);
+        } else {
+          gameConsole.print(
+            this.get(args.name)
+              ? `${args.name} is defined in the page and can't be removed`
+              : `No waypoint named ${args.name}`,
+          );
+        }
+      },
+    });
+
+    commands.register({
+      name: "goto",
+      description: "Teleport to a waypoint",
+      args: [{ name: "name", type: "choice", values: names }],
+      run: (args, gameConsole) => {
+        this.goto(args.name);
+        gameConsole.print(`Teleported to ${args.name}`);
+      },
+    });
+  },
+});
+
+// Marks a vantage point for the waypoints system. The entity's position is
+// where the player stands; yaw and pitch (degrees) aim the camera.
+AFRAME.registerComponent("waypoint", {
+  schema: {
+    name: { type: "string" },
+    yaw: { type: "number", default: 0 },
+    pitch: { type: "number", default: 0 },
+  },
+
+  init: function () {
+    this.system.addMarker(this.el);
+  },
+
+  update: function (oldData) {
+    if (oldData.name !== undefined) this.system.changed();
+  },
+
+  remove: function () {
+    this.system.removeMarker(this.el);
+  },
+});
+
+// Camera paths for flythroughs: keys of player position, look yaw/pitch
+// (degrees) and FOV at a time in seconds. Keys come from recording the
+// player as they move or from placing them one at a time, and play back
+// through a Catmull-Rom spline, each segment eased by the key it ends on.
+// Playback samples the path by time alone, so with fixedStep set every run
+// shows the same pose on the same frame.
+AFRAME.registerSystem("campath", {
+  schema: {
+    recordInterval: { type: "number", default: 0.1 }, // Seconds between keys
+    fixedStep: { type: "number", default: 0 }, // Seconds per frame, 0 = real time
+  },
+
+  version: 1,
+  storagePrefix: "campath:",
+
+  easings: {
+    linear: (t) => t,
+    "ease-in": (t) => t * t,
+    "ease-out": (t) => t * (2 - t),
+    "ease-in-out": (t) => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)),
+  },
+
+  init: function () {
+    this.keys = [];
+    this.state = "idle"; // idle, recording or playing
+    this.time = 0;
+    this.loop = false;
+    this.pose = {
+      position: new THREE.Vector3(),
+      yaw: 0,
+      pitch: 0,
+      fov: 80,
+    };
+
+    this.registerCommands();
+  },
+
+  getDuration: function () {
+    return this.keys.length ? this.keys[this.keys.length - 1].time : 0;
+  },
+
+  getCamera: function () {
+    const cameraEl = this.el.querySelector("[camera]");
+    return cameraEl && cameraEl.getObject3D("camera");
+  },
+
+  // Where the player is and looks right now, as a key
+  capture: function (time, easing) {
+    const view = this.el.systems.waypoints.getView();
+    const camera = this.getCamera();
+    const previous = this.keys[this.keys.length - 1];
+
+    // Keep yaw continuous so the spline turns the short way round
+    let yaw = view.yaw;
+    if (previous) {
+      yaw += Math.round((previous.yaw - yaw) / 360) * 360;
+    }
+
+    return {
+      time: time,
+      position: view.position.toArray(),
+      yaw: yaw,
+      pitch: view.pitch,
+      fov: camera ? camera.fov : 80,
+      easing: easing,
+    };
+  },
+
+  // Adds a key seconds after the last one (the first is always at 0)
+  addKey: function (seconds = 2, easing = "ease-in-out", fov) {
+    const time = this.keys.length ? this.getDuration() + seconds : 0;
+    const key = this.capture(time, easing);
+
+    if (fov !== undefined) key.fov = fov;
+    this.keys.push(key);
+    return key;
+  },
+
+  record: function () {
+    this.stop();
+    this.keys = [this.capture(0, "linear")];
+    this.time = 0;
+    this.sinceKey = 0;
+    this.state = "recording";
+    this.el.emit("campath-record");
+  },
+
+  play: function (loop = false) {
+    if (this.keys.length < 2) return false;
+
+    this.stop();
+    this.loop = loop;
+    this.time = 0;
+    this.state = "playing";
+
+    // Hands off: the path drives the player until it ends
+    const player = this.el.systems.waypoints.getPlayer();
+    this.controller = player && player.components["fps-controller"];
+    this.wasPaused = this.controller ? this.controller.isPaused : true;
+    if (this.controller) this.controller.pause();
+
+    const camera = this.getCamera();
+    this.savedFov = camera ? camera.fov : null;
+
+    this.applyPose(this.sample(0));
+    this.el.emit("campath-play", { duration: this.getDuration() });
+    return true;
+  },
+
+  stop: function () {
+    if (this.state === "recording") {
+      // Close the path on wherever recording stopped
+      if (this.time > this.getDuration()) {
+        this.keys.push(this.capture(this.time, "linear"));
+      }
+    } else if (this.state === "playing") {
+      const camera = this.getCamera();
+      if (camera && this.savedFov !== null) {
+        camera.fov = this.savedFov;
+        camera.updateProjectionMatrix();
+      }
+
+      // Leave the player standing at the last pose
+      if (this.controller) {
+        this.controller.velocity.set(0, 0, 0);
+        this.controller.onGround = false;
+        if (!this.wasPaused) this.controller.play();
+      }
+    }
+
+    const wasActive = this.state !== "idle";
+    this.state = "idle";
+    if (wasActive) this.el.emit("campath-stop");
+  },
+
+  clear: function () {
+    this.stop();
+    this.keys = [];
+  },
+
+  // Pose at a time on the path. Doesn't depend on frame timing.
+  sample: function (time, pose = this.pose) {
+    const keys = this.keys;
+    const last = keys.length - 1;
+
+    if (last < 0) return null;
+
+    let i = 0;
+    while (i < last - 1 && keys[i + 1].time <= time) i++;
+
+    const from = keys[i];
+    const to = keys[Math.min(i + 1, last)];
+    const span = to.time - from.time;
+    const t =
+      span > 0 ? THREE.MathUtils.clamp((time - from.time) / span, 0, 1) : 1;
+    const easing = this.easings[to.easing] || this.easings.linear;
+
+    // Neighbours shape the tangents, clamped at the ends of the path
+    const before = keys[Math.max(i - 1, 0)];
+    const after = keys[Math.min(i + 2, last)];
+    const spline = (get) =>
+      this.catmullRom(easing(t), get(before), get(from), get(to), get(after));
+
+    pose.position.set(
+      spline((key) => key.position[0]),
+      spline((key) => key.position[1]),
+      spline((key) => key.position[2]),
+    );
+    pose.yaw = spline((key) => key.yaw);
+    pose.pitch = spline((key) => key.pitch);
+    pose.fov = spline((key) => key.fov);
+    return pose;
+  },
+
+  // Uniform Catmull-Rom between p1 and p2
+  catmullRom: function (t, p0, p1, p2, p3) {
+    const v0 = (p2 - p0) * 0.5;
+    const v1 = (p3 - p1) * 0.5;
+    const t2 = t * t;
+    const t3 = t * t2;
+
+    return (
+      (2 * p1 - 2 * p2 + v0 + v1) * t3 +
+      (-3 * p1 + 3 * p2 - 2 * v0 - v1) * t2 +
+      v0 * t +
+      p1
+    );
+  },
+
+  // Called after look-controls has ticked, so the camera is turned here
+  // directly as well as through its yaw/pitch objects
+  applyPose: function (pose) {
+    const player = this.el.systems.waypoints.getPlayer();
+    const cameraEl = this.el.querySelector("[camera]");
+    const look = cameraEl && cameraEl.components["look-controls"];
+    const camera = this.getCamera();
+    const yaw = THREE.MathUtils.degToRad(pose.yaw);
+    const pitch = THREE.MathUtils.degToRad(pose.pitch);
+
+    if (player) player.object3D.position.copy(pose.position);
+
+    if (look) {
+      look.yawObject.rotation.y = yaw;
+      look.pitchObject.rotation.x = pitch;
+    }
+    if (cameraEl) cameraEl.object3D.rotation.set(pitch, yaw, 0);
+
+    if (camera && camera.fov !== pose.fov) {
+      camera.fov = pose.fov;
+      camera.updateProjectionMatrix();
+    }
+  },
+
+  tick: function (time, timeDelta) {
+    const delta = timeDelta / 1000;
+
+    if (this.state === "recording") {
+      this.time += delta;
+      this.sinceKey += delta;
+      if (this.sinceKey >= this.data.recordInterval) {
+        this.sinceKey = 0;
+        this.keys.push(this.capture(this.time, "linear"));
+      }
+    } else if (this.state === "playing") {
+      const duration = this.getDuration();
+
+      this.time += this.data.fixedStep > 0 ? this.data.fixedStep : delta;
+      if (this.time >= duration && this.loop) {
+        this.time %= duration;
+      }
+
+      this.applyPose(this.sample(Math.min(this.time, duration)));
+      if (this.time >= duration) this.stop();
+    }
+  },
+
+  serialize: function () {
+    return {
+      version: this.version,
+      savedAt: new Date().toISOString(),
+      keys: this.keys,
+    };
+  },
+
+  apply: function (path) {
+    if (!path || !Array.isArray(path.keys)) {
+      throw new Error("Not a camera path");
+    }
+    if (path.version > this.version) {
+      console.warn(`campath: version ${path.version} is newer than this build`);
+    }
+
+    this.clear();
+    this.keys = path.keys.map((key) => Object.assign({}, key));
+    this.el.emit("campath-loaded", { duration: this.getDuration() });
+  },
+
+  save: function (name) {
+    localStorage.setItem(
+      this.storagePrefix + name,
+      JSON.stringify(this.serialize()),
+    );
+  },
+
+  // False if there is no such slot
+  load: function (name) {
+    const text = localStorage.getItem(this.storagePrefix + name);
+    if (text === null) return false;
+
+    this.apply(JSON.parse(text));
+    return true;
+  },
+
+  list: function () {
+    const names = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(this.storagePrefix)) {
+        names.push(key.slice(this.storagePrefix.length));
+      }
+    }
+
+    return names.sort();
+  },
+
+  export: function (name) {
+    const blob = new Blob([JSON.stringify(this.serialize(), null, 2)], {
+      type: "application/json",
+    });
+    downloadFile(blob, `${name}.json`);
+  },
+
+  // Same as the layout import: needs a user gesture to open the picker
+  import: function () {
+    return pickJsonFile().then((file) => {
+      if (!file) return null;
+      this.apply(file.data);
+      return file.name;
+    });
+  },
+
+  registerCommands: function () {
+    const commands = this.el.systems["game-console"];
+    const actions = [
+      "record",
+      "key",
+      "stop",
+      "play",
+      "seek",
+      "clear",
+      "save",
+      "load",
+      "list",
+      "export",
+      "import",
+    ];
+
+    commands.register({
+      name: "campath",
+      description: "Record, place, play and save camera paths",
+      args: [
+        {
+          name: "action",
+          type: "choice",
+          optional: true,
+          default: "list",
+          values: actions,
+        },
+        {
+          name: "value",
+          optional: true,
+          values: (tokens) => {
+            const action = (tokens[0] || "").toLowerCase();
+            if (action === "play") return ["once", "loop"];
+            if (action === "save" || action === "load") return this.list();
+            return [];
+          },
+        },
+        {
+          name: "easing",
+          type: "choice",
+          optional: true,
+          values: Object.keys(this.easings),
+        },
+        { name: "fov", type: "number", optional: true },
+      ],
+      run: (args, gameConsole) => {
+        const print = (text) => gameConsole.print(text);
+        const name = args.value || "campath";
+        const describe = () =>
+          `${this.keys.length} keys, ${this.getDuration().toFixed(2)}s`;
+
+        switch (args.action) {
+          case "record":
+            this.record();
+            print("Recording camera path; 'campath stop' to finish");
+            break;
+          case "key": {
+            const seconds =
+              args.value === undefined
+                ? undefined
+                : commands.argTypes.number(args.value);
+            const key = this.addKey(seconds, args.easing, args.fov);
+            print(`Key at ${key.time.toFixed(2)}s (${describe()})`);
+            break;
+          }
+          case "stop": {
+            const wasRecording = this.state === "recording";
+            this.stop();
+            print(wasRecording ? `Recorded ${describe()}` : "Stopped");
+            break;
+          }
+          case "play":
+            if (this.play(args.value === "loop")) {
+              print(`Playing ${describe()}`);
+            } else {
+              print("Need at least two keys to play");
+            }
+            break;
+          case "seek":
+            if (args.value === undefined || this.keys.length === 0) {
+              print("Usage: campath seek <seconds> (with a path loaded)");
+            } else {
+              this.applyPose(this.sample(commands.argTypes.number(args.value)));
+            }
+            break;
+          case "clear":
+            this.clear();
+            print("Camera path cleared");
+            break;
+          case "save":
+            this.save(name);
+            print(`Saved camera path ${name} (${describe()})`);
+            break;
+          case "load":
+            print(
+              this.load(name)
+                ? `Loaded camera path ${name} (${describe()})`
+                : `No camera path named ${name}`,
+            );
+            break;
+          case "export":
+            this.export(name);
+            print("Camera path exported");
+            break;
+          case "import":
+            this.import()
+              .then((fileName) =>
+                print(
+                  fileName
+                    ? `Imported camera path from ${fileName}`
+                    : "Import cancelled",
+                ),
+              )
+              .catch((error) => print(`Import failed: ${error.message}`));
+            break;
+          default: {
+            const names = this.list();
+            print(`Current path: ${describe()}`);
+            print(
+              names.length ? `Saved: ${names.join(", ")}` : "No saved paths",
+            );
+          }
+        }
+      },
+    });
+  },
+});
+
+// Renders the scene to an image sequence on a fixed clock. Real-time
+// rendering stops while a capture runs; each frame steps scene time by
+// exactly 1/fps, ticks everything, renders (post effects included) and
+// grabs the canvas. Time starts at 0 and frame-capture-start reseeds
+// anything random, so a capture comes out the same on any machine.
+//
+// PNG frames download as one zip. WebM goes through MediaRecorder, which
+// stamps frames with wall-clock time, so frames are paced to real time and
+// a machine that can't keep up gets a slower video (never different frames).
+AFRAME.registerSystem("frame-capture", {
+  schema: {
+    fps: { type: "int", default: 30 },
+    format: { type: "string", default: "png", oneOf: ["png", "webm"] },
+    seed: { type: "int", default: 1 },
+    bitrate: { type: "number", default: 16000000 }, // WebM bits per second
+  },
+
+  init: function () {
+    this.capturing = false;
+    this.cancelled = false;
+    this.crcTable = null;
+
+    this.registerCommands();
+  },
+
+  // Resolves with the number of frames once the file has been offered for
+  // download. With path set, plays the camera path and runs as long as it.
+  start: function (options = {}) {
+    const scene = this.el;
+    const renderer = scene.renderer;
+    const fps = options.fps || this.data.fps;
+    const format = options.format || this.data.format;
+    const campath = scene.systems.campath;
+
+    if (this.capturing) {
+      return Promise.reject(new Error("Already capturing"));
+    }
+    if (renderer.xr.isPresenting) {
+      return Promise.reject(new Error("Can't capture in VR"));
+    }
+    if (options.path && campath.keys.length < 2) {
+      return Promise.reject(new Error("No camera path to play"));
+    }
+
+    const seconds = options.path ? campath.getDuration() : options.seconds || 5;
+    const frames = Math.max(1, Math.round(seconds * fps));
+    const step = 1000 / fps;
+    const sink =
+      format === "webm" ? this.createWebmSink(fps) : this.createPngSink();
+
+    this.capturing = true;
+    this.cancelled = false;
+
+    // Real time stops here
+    renderer.setAnimationLoop(null);
+    scene.emit("frame-capture-start", { seed: this.data.seed, fps, frames });
+    if (options.path) campath.play();
+
+    const capture = async () => {
+      for (let i = 0; i < frames && !this.cancelled; i++) {
+        this.renderFrame(i * step, step);
+        await sink.addFrame(i);
+        scene.emit("frame-capture-progress", { frame: i + 1, frames });
+      }
+      return sink.finish();
+    };
+
+    const done = () => {
+      if (options.path) campath.stop();
+
+      // Drop the time spent capturing so the next frame isn't one huge step
+      scene.clock.getDelta();
+      renderer.setAnimationLoop(scene.render);
+      this.capturing = false;
+    };
+
+    return capture().then(
+      (file) => {
+        done();
+        scene.emit("frame-capture-end", { frames: file.frames });
+        downloadFile(file.blob, `capture.${file.extension}`);
+        return file.frames;
+      },
+      (error) => {
+        done();
+        throw error;
+      },
+    );
+  },
+
+  // Ends a capture early; what was captured so far still downloads
+  stop: function () {
+    this.cancelled = this.capturing;
+    return this.capturing;
+  },
+
+  // One frame of a-scene's render loop with the clock held to time
+  renderFrame: function (time, delta) {
+    const scene = this.el;
+
+    scene.time = time;
+    scene.delta = delta;
+    if (scene.isPlaying) scene.tick(time, delta);
+    scene.renderer.render(scene.object3D, scene.camera);
+    if (scene.isPlaying) scene.tock(time, delta, scene.camera);
+  },
+
+  createPngSink: function () {
+    const canvas = this.el.canvas;
+    const files = [];
+
+    return {
+      // toBlob copies the canvas as it is now, before the browser clears it
+      addFrame: (i) =>
+        new Promise((resolve, reject) => {
+          canvas.toBlob((blob) => {
+            if (!blob) {
+              reject(new Error(`Frame ${i} could not be read back`));
+              return;
+            }
+            files.push({
+              name: `frame_${String(i).padStart(5, "0")}.png`,
+              blob: blob,
+            });
+            resolve();
+          }, "image/png");
+        }),
+      finish: () =>
+        this.zip(files).then((blob) => ({
+          blob: blob,
+          extension: "zip",
+          frames: files.length,
+        })),
+    };
+  },
+
+  createWebmSink: function (fps) {
+    const stream = this.el.canvas.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const recorder = new MediaRecorder(stream, {
+      mimeType: "video/webm",
+      videoBitsPerSecond: this.data.bitrate,
+    });
+    const chunks = [];
+    let started = 0;
+    let count = 0;
+
+    recorder.addEventListener("dataavailable", (event) => {
+      if (event.data.size > 0) chunks.push(event.data);
+    });
+    recorder.start();
+
+    return {
+      addFrame: (i) => {
+        if (i === 0) started = performance.now();
+        track.requestFrame();
+        count++;
+
+        // Hold each frame on screen for its share of real time
+        const wait = started + ((i + 1) * 1000) / fps - performance.now();
+        return new Promise((resolve) => setTimeout(resolve, Math.max(0, wait)));
+      },
+      finish: () =>
+        new Promise((resolve) => {
+          recorder.addEventListener(
+            "stop",
+            () => {
+              track.stop();
+              resolve({
+                blob: new Blob(chunks, { type: "video/webm" }),
+                extension: "webm",
+                frames: count,
+              });
+            },
+            { once: true },
+          );
+          recorder.stop();
+        }),
+    };
+  },
+
+  // Stored (uncompressed) zip; PNGs are compressed already
+  zip: function (files) {
+    return Promise.all(files.map((file) => file.blob.arrayBuffer())).then(
+      (buffers) => {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const directory = [];
+        let offset = 0;
+
+        buffers.forEach((buffer, i) => {
+          const data = new Uint8Array(buffer);
+          const name = encoder.encode(files[i].name);
+          const crc = this.crc32(data);
+
+          const local = new DataView(new ArrayBuffer(30));
+          local.setUint32(0, 0x04034b50, true);
+          local.setUint16(4, 20, true); // Version needed
+          local.setUint16(10, 0, true); // Time
+          local.setUint16(12, 0x21, true); // Date: 1980-01-01
+          local.setUint32(14, crc, true);
+          local.setUint32(18, data.length, true);
+          local.setUint32(22, data.length, true);
+          local.setUint16(26, name.length, true);
+          parts.push(local, name, data);
+
+          const central = new DataView(new ArrayBuffer(46));
+          central.setUint32(0, 0x02014b50, true);
+          central.setUint16(4, 20, true); // Version made by
+          central.setUint16(6, 20, true); // Version needed
+          central.setUint16(14, 0x21, true);
+          central.setUint32(16, crc, true);
+          central.setUint32(20, data.length, true);
+          central.setUint32(24, data.length, true);
+          central.setUint16(28, name.length, true);
+          central.setUint32(42, offset, true);
+          directory.push(central, name);
+
+          offset += 30 + name.length + data.length;
+        });
+
+        const size = directory.reduce((sum, part) => sum + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, size, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob(parts.concat(directory, [end]), {
+          type: "application/zip",
+        });
+      },
+    );
+  },
+
+  crc32: function (data) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+
+  registerCommands: function () {
+    const commands = this.el.systems["game-console"];
+
+    commands.register({
+      name: "capture",
+      description:
+        "Render frames on a fixed clock to a PNG zip or WebM; 'path' runs for the camera path",
+      args: [
+        {
+          name: "action",
+          type: "choice",
+          values: ["start", "path", "stop"],
+        },
+        { name: "seconds", type: "number", optional: true },
+        { name: "fps", type: "int", optional: true },
+        {
+          name: "format",
+          type: "choice",
+          optional: true,
+          values: ["png", "webm"],
+        },
+      ],
+      run: (args, gameConsole) => {
+        if (args.action === "stop") {
+          gameConsole.print(this.stop() ? "Stopping capture" : "Not capturing");
+          return;
+        }
+
+        const options = {
+          path: args.action === "path",
+          seconds: args.seconds,
+          fps: args.fps,
+          format: args.format,
+        };
+        gameConsole.print("Capturing...");
+
+        // Returned so a ; chain or script waits for the file
+        return this.start(options)
+          .then((frames) => gameConsole.print(`Captured ${frames} frames`))
+          .catch((error) =>
+            gameConsole.print(`Capture failed: ${error.message}`),
+          );
+      },
+    });
+  },
+});
+
+// Shader init for custom shaders that take part in the scene (dithered)
+// fog. Their GLSL includes the fog chunks; the fog property switches it.
+const initFogShader = function (data) {
+  this.uniforms = Object.assign(
+    this.initUniforms(),
+    THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+  );
+  this.material = new THREE.ShaderMaterial({
+    uniforms: this.uniforms,
+    vertexShader: this.vertexShader,
+    fragmentShader: this.fragmentShader,
+    fog: data.fog,
+  });
+  return this.material;
+};
+
+// Flame noise shared by the bonfire-flame shader and, through flameNoise,
+// the bonfire's light. t is in seconds.
+const flameNoiseShader = `
+  float noise(vec2 p) {
+    return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
+  }
+
+  float smoothNoise(vec2 p) {
+    vec2 i = floor(p);
+    vec2 f = fract(p);
+    f = f * f * (3.0 - 2.0 * f);
+
+    float a = noise(i);
+    float b = noise(i + vec2(1.0, 0.0));
+    float c = noise(i + vec2(0.0, 1.0));
+    float d = noise(i + vec2(1.0, 1.0));
+
+    return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+  }
+
+  float fbm(vec2 p) {
+    float value = 0.0;
+    float amplitude = 0.5;
+    float frequency = 1.0;
+
+    for(int i = 0; i < 4; i++) {
+      value += amplitude * smoothNoise(p * frequency);
+      frequency *= 2.0;
+      amplitude *= 0.5;
+    }
+
+    return value;
+  }
+
+  // Brightness flicker at a height up the flame (0 = base, 1 = tip)
+  float flameFlicker(float t, float height) {
+    return 1.0 + 0.3 * sin(t * 4.0 + height * 10.0);
+  }
+`;
+
+// The same functions on the CPU
+const flameNoise = {
+  fract: (x) => x - Math.floor(x),
+
+  noise: function (x, y) {
+    return this.fract(Math.sin(x * 12.9898 + y * 78.233) * 43758.5453);
+  },
+
+  smoothNoise: function (x, y) {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = (x - ix) * (x - ix) * (3 - 2 * (x - ix));
+    const fy = (y - iy) * (y - iy) * (3 - 2 * (y - iy));
+
+    const a = this.noise(ix, iy);
+    const b = this.noise(ix + 1, iy);
+    const c = this.noise(ix, iy + 1);
+    const d = this.noise(ix + 1, iy + 1);
+
+    const bottom = a + (b - a) * fx;
+    const top = c + (d - c) * fx;
+    return bottom + (top - bottom) * fy;
+  },
+
+  fbm: function (x, y) {
+    let value = 0;
+    let amplitude = 0.5;
+    let frequency = 1;
+
+    for (let i = 0; i < 4; i++) {
+      value += amplitude * this.smoothNoise(x * frequency, y * frequency);
+      frequency *= 2;
+      amplitude *= 0.5;
+    }
+
+    return value;
+  },
+
+  flicker: (t, height) => 1 + 0.3 * Math.sin(t * 4 + height * 10),
+
+  // How bright the whole flame is at t, around 1: the flicker and the fire
+  // noise the shader samples halfway up the plane
+  brightness: function (t) {
+    return this.flicker(t, 0.5) * (0.5 + this.fbm(2, 2 + t * 1.2));
+  },
+};
+
+// Dark Souls style bonfire flame shader
+AFRAME.registerShader("bonfire-flame", {
+  schema: {
+    time: { type: "time", is: "uniform" }, // ms, like every A-Frame time
+    fog: { default: true },
+  },
+
+  init: initFogShader,
+
+  vertexShader: `
+    varying vec2 vUv;
+    varying vec3 vPosition;
+    #include <fog_pars_vertex>
+
+    void main() {
+      vUv = uv;
+      vPosition = position;
+      vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+      gl_Position = projectionMatrix * mvPosition;
+      #include <fog_vertex>
+    }
+  `,
+
+  fragmentShader: `
+    uniform float time;
+    varying vec2 vUv;
+    varying vec3 vPosition;
+    #include <fog_pars_fragment>
+    ${flameNoiseShader}
+
+    void main() {
+      float t = time * 0.001;
+      vec2 uv = vUv;
+
+      // Make flames rise upward
+      uv.y += t * 0.3;
+
+      // Add turbulence
+      float turbulence = fbm(uv * 3.0 + t * 0.5);
+      uv.x += (turbulence - 0.5) * 0.3;
+
+      // Create flame shape (wider at bottom, narrow at top)
+      float flameShape = smoothstep(0.6, 0.0, abs(vUv.x - 0.5) + vUv.y * 0.5);
+
+      // Add noise to flame
+      float fireNoise = fbm(uv * 4.0);
+      flameShape *= fireNoise;
+
+      // Dark Souls fire colors: intense orange with less yellow
+      vec3 deepOrange = vec3(1.0, 0.3, 0.05);
+      vec3 brightOrange = vec3(1.3, 0.5, 0.1);
+      vec3 hotOrange = vec3(1.5, 0.7, 0.2);
+      vec3 whiteTip = vec3(1.6, 1.2, 0.6);
+
+      // Color gradient based on height - mostly orange
+      vec3 fireColor;
+      if(vUv.y < 0.3) {
+        fireColor = mix(deepOrange, brightOrange, vUv.y / 0.3);
+      } else if(vUv.y < 0.6) {
+        fireColor = mix(brightOrange, hotOrange, (vUv.y - 0.3) / 0.3);
+      } else {
+        fireColor = mix(hotOrange, whiteTip, (vUv.y - 0.6) / 0.4);
+      }
+
+      // Add hot core brightness - more orange
+      float coreGlow = smoothstep(0.4, 0.0, abs(vUv.x - 0.5)) * smoothstep(0.8, 0.2, vUv.y);
+      fireColor += coreGlow * vec3(0.6, 0.2, 0.05);
+
+      // Add brightness flicker - more intense
+      fireColor *= flameFlicker(t, vUv.y);
+
+      // Alpha based on flame shape and height
+      float alpha = flameShape * smoothstep(1.0, 0.3, vUv.y);
+
+      gl_FragColor = vec4(fireColor, alpha);
+      #include <fog_fragment>
+    }
+  `,
+});
+
+// Billboard component - makes element always face camera
+AFRAME.registerComponent("billboard", {
+  init: function () {
+    this.camera = null;
+  },
+
+  tick: function () {
+    if (!this.camera) {
+      this.camera = document.querySelector("[camera]");
+      if (!this.camera) return;
+    }
+
+    const cameraPos = this.camera.object3D.position;
+    const thisPos = this.el.object3D.position;
+
+    // Calculate direction from this object to camera
+    const direction = new THREE.Vector3();
+    direction.subVectors(cameraPos, thisPos);
+
+    // Only rotate on Y axis to keep fire upright
+    direction.y = 0;
+    direction.normalize();
+
+    // Make the plane face the camera
+    this.el.object3D.lookAt(cameraPos);
+  },
+});
+
+// Small seeded random number generator (mulberry32): returns a function
+// giving floats in [0, 1) like Math.random, the same run for the same seed
+const createRandom = function (seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Saves a blob through a throwaway download link
+const downloadFile = function (blob, name) {
+  const link = document.createElement("a");
+
+  link.href = URL.createObjectURL(blob);
+  link.download = name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href));
+};
+
+// Asks for a JSON file, resolving with its name and parsed contents, or with
+// null if the picker is closed without one. Has to be called from a user
+// gesture (a key press or click) for the browser to open the picker.
+const pickJsonFile = function () {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+
+    input.addEventListener("cancel", () => resolve(null));
+    input.addEventListener("change", () => {
+      const file = input.files[0];
+      if (!file) {
+        resolve(null);
+        return;
+      }
+
+      file
+        .text()
+        .then((text) => resolve({ name: file.name, data: JSON.parse(text) }))
+        .catch(reject);
+    });
+    input.click();
+  });
+};
+
+// Shared by every particle-emitter. Dead particles have life -1 and are
+// pushed outside clip space.
+const particleVertexShader = `
+  attribute float size;
+  attribute float life;
+  attribute vec3 tint;
+  attribute float spin;
+  uniform vec3 colorStops[4];
+  uniform vec4 sizeStops;
+  uniform vec4 opacityStops;
+  uniform vec3 stopCounts; // Colour, size, opacity
+  varying vec3 vColor;
+  varying float vOpacity;
+  varying float vLife;
+  varying float vSpin;
+  #include <fog_pars_vertex>
+
+  // Stop index and blend for life on a curve of count evenly spaced stops
+  vec2 curveAt(float count, float life) {
+    float x = clamp(life, 0.0, 1.0) * max(count - 1.0, 0.0);
+    float i = min(floor(x), max(count - 2.0, 0.0));
+    return vec2(i, x - i);
+  }
+
+  float curve(vec4 stops, float count, float life) {
+    vec2 at = curveAt(count, life);
+    int i = int(at.x);
+    return mix(stops[i], stops[min(i + 1, int(count) - 1)], at.y);
+  }
+
+  void main() {
+    if (life < 0.0) {
+      gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+      gl_PointSize = 0.0;
+      return;
+    }
+
+    vec2 at = curveAt(stopCounts.x, life);
+    int i = int(at.x);
+    vec3 color = mix(
+      colorStops[i],
+      colorStops[min(i + 1, int(stopCounts.x) - 1)],
+      at.y
+    );
+
+    vColor = tint * color;
+    vOpacity = curve(opacityStops, stopCounts.z, life);
+    vLife = life;
+    vSpin = spin;
+
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    float pointSize = size * curve(sizeStops, stopCounts.y, life);
+    gl_PointSize = pointSize * (300.0 / -mvPosition.z);
+    gl_Position = projectionMatrix * mvPosition;
+    #include <fog_vertex>
+  }
+`;
+
+const particleFragmentShader = `
+  uniform float glow;
+  uniform float flicker;
+  varying vec3 vColor;
+  varying float vOpacity;
+  varying float vLife;
+  varying float vSpin;
+  #include <fog_pars_fragment>
+
+  void main() {
+    vec2 p = gl_PointCoord - vec2(0.5);
+
+    #ifdef FLAKE
+      // A thin flake tumbling over its life
+      float angle = (vSpin + vLife * 2.0) * 6.2832;
+      p = mat2(cos(angle), -sin(angle), sin(angle), cos(angle)) * p;
+      p.y *= 2.5;
+      float dist = length(p);
+      if (dist > 0.5) discard;
+      float alpha = smoothstep(0.5, 0.4, dist);
+    #else
+      // Round with a soft edge
+      float dist = length(p);
+      if (dist > 0.5) discard;
+      float alpha = smoothstep(0.5, 0.2, dist);
+    #endif
+
+    // Hot core and per-particle flicker
+    vec3 color = vColor * (1.0 + glow * smoothstep(0.5, 0.0, dist));
+    float noise = fract(sin(vLife * 100.0 + vSpin * 17.0) * 43758.5);
+    color *= 1.0 - flicker + flicker * noise;
+
+    gl_FragColor = vec4(color, alpha * vOpacity);
+    #include <fog_fragment>
+  }
+`;
+
+// General-purpose particle emitter. Particles are points of one THREE.Points
+// draw: motion (forces, drag, curl noise) runs over typed arrays on the CPU
+// and the shader applies the colour, size and opacity curves over life.
+// A preset fills in whatever the attribute doesn't set itself:
+//   particle-emitter__ash="preset: ash; rate: 6"
+// Curves are up to four stops spread evenly over a particle's life. Every
+// random choice comes from seed (0 = different every load), and
+// frame-capture-start reseeds it like the rest of the scene.
+AFRAME.registerComponent("particle-emitter", {
+  multiple: true,
+
+  schema: {
+    preset: { default: "" },
+    shape: { default: "point", oneOf: ["point", "disc", "sphere", "mesh"] },
+    radius: { type: "number", default: 0.5 },
+    height: { type: "number", default: 0 }, // Extra spawn spread upwards
+    offset: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    mesh: { type: "selector" }, // Surface spawned on with shape: mesh
+    rate: { type: "number", default: 10 }, // Particles per second
+    emitting: { default: true }, // Off lets the live particles finish
+    maxParticles: { type: "int", default: 100 },
+    prewarm: { default: false }, // Start as if it had been running a while
+    burstCount: { type: "int", default: 0 },
+    burstInterval: { type: "number", default: 0 }, // Seconds, 0 = start only
+    burstEvent: { default: "" }, // Burst on this event instead
+    lifetime: { type: "number", default: 3 }, // Seconds
+    lifetimeVariance: { type: "number", default: 0 }, // +/- seconds
+    velocity: { type: "vec3", default: { x: 0, y: 1, z: 0 } },
+    velocitySpread: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    gravity: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    wind: { type: "vec3", default: { x: 0, y: 0, z: 0 } },
+    drag: { type: "number", default: 0 }, // Per second, pulls toward wind
+    turbulence: { type: "number", default: 0 }, // Random acceleration
+    curlStrength: { type: "number", default: 0 },
+    curlScale: { type: "number", default: 1 }, // Size of the swirls
+    maxDistance: { type: "number", default: 0 }, // From the entity, 0 = any
+    size: { type: "number", default: 0.05 },
+    sizeVariance: { type: "number", default: 0 },
+    palette: { type: "array", default: ["#ffffff"] }, // One picked per particle
+    colors: { type: "array", default: ["#ffffff"] }, // Over life, times palette
+    sizes: { type: "array", default: ["1"] }, // Over life, times size
+    opacities: { type: "array", default: ["1", "0"] },
+    sprite: { default: "glow", oneOf: ["glow", "flake"] },
+    glow: { type: "number", default: 0 },
+    flicker: { type: "number", default: 0 },
+    blending: { default: "additive", oneOf: ["additive", "normal"] },
+    fog: { default: true },
+    seed: { type: "int", default: 0 },
+  },
+
+  maxStops: 4,
+
+  // Changing any of these needs new buffers or a new material
+  rebuildKeys: ["maxParticles", "seed", "sprite", "blending", "fog"],
+
+  // Values as they'd be in data once parsed
+  presets: {
+    embers: {
+      shape: "disc",
+      radius: 0.3,
+      height: 0.15,
+      rate: 7.5,
+      maxParticles: 30,
+      prewarm: true,
+      lifetime: 4,
+      velocity: { x: 0, y: 0.75, z: 0 },
+      velocitySpread: { x: 0.15, y: 0.5, z: 0.15 },
+      drag: 0.12,
+      turbulence: 0.06,
+      curlStrength: 0.1,
+      curlScale: 0.5,
+      maxDistance: 2.5,
+      size: 0.03,
+      sizeVariance: 0.05,
+      palette: ["#ff330d", "#ff6619", "#ff6619", "#ff9933"],
+      colors: ["#ffffff"],
+      sizes: ["1", "0.3"],
+      opacities: ["0.9", "0"],
+      sprite: "glow",
+      glow: 0.5,
+      flicker: 0.2,
+      blending: "additive",
+      fog: false,
+    },
+    // Grey flakes drifting down over an area
+    ash: {
+      shape: "disc",
+      radius: 4,
+      height: 1,
+      offset: { x: 0, y: 3, z: 0 },
+      rate: 4,
+      maxParticles: 60,
+      prewarm: true,
+      lifetime: 10,
+      lifetimeVariance: 3,
+      velocity: { x: 0, y: -0.2, z: 0 },
+      velocitySpread: { x: 0.1, y: 0.1, z: 0.1 },
+      wind: { x: 0.15, y: -0.2, z: 0.05 },
+      drag: 0.5,
+      curlStrength: 0.3,
+      curlScale: 1.5,
+      size: 0.02,
+      sizeVariance: 0.02,
+      palette: ["#7d7873", "#5c5752", "#9a958f"],
+      colors: ["#ffffff"],
+      sizes: ["1"],
+      opacities: ["0", "0.8", "0.8", "0"],
+      sprite: "flake",
+      blending: "normal",
+      fog: true,
+    },
+    // Motes hanging in a shaft of light
+    dust: {
+      shape: "sphere",
+      radius: 2,
+      rate: 6,
+      maxParticles: 80,
+      prewarm: true,
+      lifetime: 10,
+      lifetimeVariance: 4,
+      velocity: { x: 0, y: 0, z: 0 },
+      velocitySpread: { x: 0.05, y: 0.05, z: 0.05 },
+      drag: 0.3,
+      curlStrength: 0.05,
+      curlScale: 0.8,
+      size: 0.015,
+      sizeVariance: 0.01,
+      palette: ["#fff2d9", "#ffe6bf"],
+      colors: ["#ffffff"],
+      sizes: ["1"],
+      opacities: ["0", "0.6", "0.6", "0"],
+      sprite: "glow",
+      glow: 0.3,
+      blending: "additive",
+      fog: true,
+    },
+    leaves: {
+      shape: "disc",
+      radius: 6,
+      height: 2,
+      offset: { x: 0, y: 6, z: 0 },
+      rate: 1,
+      maxParticles: 25,
+      prewarm: true,
+      lifetime: 14,
+      lifetimeVariance: 4,
+      velocity: { x: 0, y: -0.5, z: 0 },
+      velocitySpread: { x: 0.3, y: 0.2, z: 0.3 },
+      wind: { x: 0.4, y: -0.5, z: 0.15 },
+      drag: 0.8,
+      curlStrength: 0.8,
+      curlScale: 2,
+      size: 0.12,
+      sizeVariance: 0.06,
+      palette: ["#6b4a1f", "#8a5a22", "#5a6126", "#a0722c"],
+      colors: ["#ffffff"],
+      sizes: ["1"],
+      opacities: ["1", "1", "1", "0"],
+      sprite: "flake",
+      blending: "normal",
+      fog: true,
+    },
+  },
+
+  init: function () {
+    this.config = null;
+    this.points = null;
+    this.surface = null; // Triangles of the mesh target, built on first use
+    this.spawnPoint = new THREE.Vector3();
+    this.inverseMatrix = new THREE.Matrix4();
+
+    // Start over from the capture's seed so every capture matches, mixed
+    // with the emitter's place in the page so each one gets its own stream
+    this.onCaptureStart = (event) => {
+      const index = Array.from(
+        this.el.sceneEl.querySelectorAll("[particle-emitter]"),
+      ).indexOf(this.el);
+      this.captureSeed =
+        (event.detail.seed + Math.imul(index + 1, 0x9e3779b9)) >>> 0;
+      this.build();
+    };
+    this.el.sceneEl.addEventListener(
+      "frame-capture-start",
+      this.onCaptureStart,
+    );
+
+    this.onBurstEvent = () => this.burst(this.config.burstCount);
+    this.onMeshChanged = () => {
+      this.surface = null;
+    };
+  },
+
+  update: function () {
+    const previous = this.config || {};
+    const config = this.resolveConfig();
+    this.config = config;
+
+    if (config.burstEvent !== previous.burstEvent) {
+      if (previous.burstEvent) {
+        this.el.removeEventListener(previous.burstEvent, this.onBurstEvent);
+      }
+      if (config.burstEvent) {
+        this.el.addEventListener(config.burstEvent, this.onBurstEvent);
+      }
+    }
+
+    if (config.mesh !== previous.mesh) {
+      if (previous.mesh) {
+        previous.mesh.removeEventListener("object3dset", this.onMeshChanged);
+      }
+      if (config.mesh) {
+        config.mesh.addEventListener("object3dset", this.onMeshChanged);
+      }
+      this.surface = null;
+    }
+
+    if (
+      !this.points ||
+      this.rebuildKeys.some((key) => config[key] !== previous[key])
+    ) {
+      this.build();
+    } else {
+      this.updateMaterial();
+    }
+  },
+
+  // data, with the preset's values in place of anything the attribute
+  // itself leaves out
+  resolveConfig: function () {
+    const config = Object.assign({}, this.data);
+    const preset = this.presets[this.data.preset];
+
+    if (this.data.preset && !preset) {
+      console.warn(`particle-emitter: unknown preset "${this.data.preset}"`);
+    }
+
+    if (preset) {
+      const explicit = this.attrValue || {};
+      Object.keys(preset).forEach((key) => {
+        if (!(key in explicit)) config[key] = preset[key];
+      });
+    }
+    return config;
+  },
+
+  getPresetNames: function () {
+    return Object.keys(this.presets);
+  },
+
+  // Fresh buffers and an empty emitter, from the seed
+  build: function () {
+    const config = this.config;
+    const count = Math.max(0, config.maxParticles);
+    const seed = config.seed || this.captureSeed;
+
+    this.dispose();
+    this.random = seed ? createRandom(seed) : Math.random;
+    this.count = count;
+    this.velocities = new Float32Array(count * 3);
+    this.ages = new Float32Array(count); // Seconds
+    this.lifetimes = new Float32Array(count); // Seconds, 0 = free slot
+    this.cursor = 0; // Where the search for a free slot starts
+    this.pending = 0; // Fraction of a particle rate owes
+    this.time = 0;
+    this.spawned = false; // Per-particle attributes need uploading
+    this.nextBurst = config.burstInterval;
+
+    // Phases of the curl field, so emitters don't all swirl alike
+    this.phases = [];
+    for (let i = 0; i < 6; i++) this.phases.push(this.random() * Math.PI * 2);
+
+    const geometry = new THREE.BufferGeometry();
+    const attribute = (itemSize, fill = 0) =>
+      new THREE.BufferAttribute(
+        new Float32Array(count * itemSize).fill(fill),
+        itemSize,
+      ).setUsage(THREE.DynamicDrawUsage);
+
+    geometry.setAttribute("position", attribute(3));
+    geometry.setAttribute("life", attribute(1, -1));
+    geometry.setAttribute("size", attribute(1));
+    geometry.setAttribute("tint", attribute(3));
+    geometry.setAttribute("spin", attribute(1));
+
+    const material = new THREE.ShaderMaterial({
+      uniforms: Object.assign(
+        {
+          colorStops: {
+            value: [0, 1, 2, 3].map(() => new THREE.Color()),
+          },
+          sizeStops: { value: new THREE.Vector4() },
+          opacityStops: { value: new THREE.Vector4() },
+          stopCounts: { value: new THREE.Vector3(1, 1, 1) },
+          glow: { value: 0 },
+          flicker: { value: 0 },
+        },
+        THREE.UniformsUtils.clone(THREE.UniformsLib.fog),
+      ),
+      defines: config.sprite === "flake" ? { FLAKE: "" } : {},
+      vertexShader: particleVertexShader,
+      fragmentShader: particleFragmentShader,
+      transparent: true,
+      blending:
+        config.blending === "additive"
+          ? THREE.AdditiveBlending
+          : THREE.NormalBlending,
+      depthWrite: false,
+      fog: config.fog,
+    });
+
+    // Particles wander off the bounds the geometry starts with
+    this.points = new THREE.Points(geometry, material);
+    this.points.frustumCulled = false;
+    this.el.object3D.add(this.points);
+    this.updateMaterial();
+
+    // Spawning below samples the mesh before the first tick sets this
+    if (config.shape === "mesh") {
+      this.el.object3D.updateWorldMatrix(true, false);
+      this.inverseMatrix.copy(this.el.object3D.matrixWorld).invert();
+    }
+
+    if (config.prewarm && config.emitting) {
+      const settled = Math.min(
+        count,
+        Math.round(config.rate * config.lifetime),
+      );
+      for (let i = 0; i < settled; i++) this.spawn(this.random());
+    }
+    if (config.burstCount > 0 && !config.burstEvent && config.emitting) {
+      this.burst(config.burstCount);
+    }
+  },
+
+  updateMaterial: function () {
+    const config = this.config;
+    const uniforms = this.points.material.uniforms;
+
+    const colors = this.getStops(config.colors, "colors", "#ffffff");
+    colors.forEach((hex, i) => {
+      this.setColor(uniforms.colorStops.value[i], hex);
+    });
+
+    const sizes = this.getStops(config.sizes, "sizes", "1").map(Number);
+    const opacities = this.getStops(config.opacities, "opacities", "1").map(
+      Number,
+    );
+    uniforms.stopCounts.value.set(
+      colors.length,
+      sizes.length,
+      opacities.length,
+    );
+    uniforms.sizeStops.value.fromArray(this.padStops(sizes));
+    uniforms.opacityStops.value.fromArray(this.padStops(opacities));
+    uniforms.glow.value = config.glow;
+    uniforms.flicker.value = config.flicker;
+
+    this.palette = this.getStops(
+      config.palette,
+      "palette",
+      "#ffffff",
+      true,
+    ).map((hex) => this.setColor(new THREE.Color(), hex));
+  },
+
+  // Curves get a fixed number of uniform slots; an empty one is constant
+  getStops: function (values, name, fallback, unlimited) {
+    const stops = values.filter((value) => value !== "");
+    if (stops.length === 0) return [fallback];
+
+    if (!unlimited && stops.length > this.maxStops) {
+      console.warn(
+        `particle-emitter: ${name} uses only its first ${this.maxStops} stops`,
+      );
+      return stops.slice(0, this.maxStops);
+    }
+    return stops;
+  },
+
+  padStops: function (stops) {
+    const padded = stops.slice();
+    while (padded.length < this.maxStops) {
+      padded.push(padded[padded.length - 1]);
+    }
+    return padded;
+  },
+
+  // Taken as-is: the shader writes colours straight out, so these match the
+  // hex values picked by eye
+  setColor: function (color, hex) {
+    return color.setStyle(hex, THREE.LinearSRGBColorSpace);
+  },
+
+  // Spawns up to count particles at once; returns how many fit the budget
+  burst: function (count) {
+    let spawned = 0;
+    for (let i = 0; i < count && this.spawn(0); i++) spawned++;
+    return spawned;
+  },
+
+  // New particle in a free slot, already age (a share of its lifetime) old.
+  // False when the budget is used up or there's nowhere to spawn yet.
+  spawn: function (age) {
+    const index = this.findFree();
+    if (index === -1 || !this.getSpawnPoint(this.spawnPoint)) return false;
+
+    const config = this.config;
+    const random = this.random;
+    const attributes = this.points.geometry.attributes;
+    const i3 = index * 3;
+    const point = this.spawnPoint.add(config.offset);
+
+    attributes.position.array[i3] = point.x;
+    attributes.position.array[i3 + 1] = point.y;
+    attributes.position.array[i3 + 2] = point.z;
+
+    const velocity = config.velocity;
+    const spread = config.velocitySpread;
+    this.velocities[i3] = velocity.x + (random() - 0.5) * spread.x;
+    this.velocities[i3 + 1] = velocity.y + (random() - 0.5) * spread.y;
+    this.velocities[i3 + 2] = velocity.z + (random() - 0.5) * spread.z;
+
+    const lifetime = Math.max(
+      0.01,
+      config.lifetime + (random() * 2 - 1) * config.lifetimeVariance,
+    );
+    this.lifetimes[index] = lifetime;
+    this.ages[index] = age * lifetime;
+    attributes.life.array[index] = age;
+
+    // Prewarmed ones start roughly where they'd have got to by now
+    for (let axis = 0; axis < 3; axis++) {
+      attributes.position.array[i3 + axis] +=
+        this.velocities[i3 + axis] * this.ages[index];
+    }
+
+    attributes.size.array[index] = config.size + random() * config.sizeVariance;
+    attributes.spin.array[index] = random();
+
+    const tint = this.palette[Math.floor(random() * this.palette.length)];
+    tint.toArray(attributes.tint.array, i3);
+
+    this.spawned = true;
+    return true;
+  },
+
+  findFree: function () {
+    for (let n = 0; n < this.count; n++) {
+      const index = (this.cursor + n) % this.count;
+      if (this.lifetimes[index] === 0) {
+        this.cursor = (index + 1) % this.count;
+        return index;
+      }
+    }
+    return -1;
+  },
+
+  // A point on the emitter's shape, in the entity's space
+  getSpawnPoint: function (target) {
+    const config = this.config;
+    const random = this.random;
+
+    if (config.shape === "disc") {
+      const angle = random() * Math.PI * 2;
+      const radius = Math.sqrt(random()) * config.radius;
+      target.set(Math.cos(angle) * radius, 0, Math.sin(angle) * radius);
+    } else if (config.shape === "sphere") {
+      const z = random() * 2 - 1;
+      const angle = random() * Math.PI * 2;
+      const ring = Math.sqrt(1 - z * z);
+      const radius = Math.cbrt(random()) * config.radius;
+      target.set(
+        Math.cos(angle) * ring * radius,
+        z * radius,
+        Math.sin(angle) * ring * radius,
+      );
+    } else if (config.shape === "mesh") {
+      if (!config.mesh) return false;
+      if (!this.surface) this.surface = this.buildSurface(config.mesh);
+      if (this.surface.total === 0) return false;
+      this.sampleSurface(target).applyMatrix4(this.inverseMatrix);
+    } else {
+      target.set(0, 0, 0);
+    }
+
+    if (config.height) target.y += random() * config.height;
+    return true;
+  },
+
+  // The target's triangles in world space with a running total of their
+  // areas, so big triangles get more than their share of spawns
+  buildSurface: function (el) {
+    const triangles = [];
+    const areas = [];
+    let total = 0;
+
+    el.object3D.updateWorldMatrix(true, true);
+    el.object3D.traverse((node) => {
+      if (!node.isMesh || !node.geometry.attributes.position) return;
+
+      const position = node.geometry.attributes.position;
+      const index = node.geometry.index;
+      const count = index ? index.count : position.count;
+      const vertex = (i) =>
+        new THREE.Vector3()
+          .fromBufferAttribute(position, index ? index.getX(i) : i)
+          .applyMatrix4(node.matrixWorld);
+
+      for (let i = 0; i + 2 < count; i += 3) {
+        const triangle = new THREE.Triangle(
+          vertex(i),
+          vertex(i + 1),
+          vertex(i + 2),
+        );
+        total += triangle.getArea();
+        triangles.push(triangle);
+        areas.push(total);
+      }
+    });
+
+    return { triangles: triangles, areas: areas, total: total };
+  },
+
+  sampleSurface: function (target) {
+    const { triangles, areas, total } = this.surface;
+    const pick = this.random() * total;
+
+    let low = 0;
+    let high = areas.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (areas[middle] < pick) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    // Uniform over the triangle
+    let u = this.random();
+    let v = this.random();
+    if (u + v > 1) {
+      u = 1 - u;
+      v = 1 - v;
+    }
+    const triangle = triangles[low];
+    return target
+      .copy(triangle.a)
+      .addScaledVector(triangle.b.clone().sub(triangle.a), u)
+      .addScaledVector(triangle.c.clone().sub(triangle.a), v);
+  },
+
+  tick: function (time, timeDelta) {
+    if (!this.points || this.count === 0) return;
+
+    const config = this.config;
+    const random = this.random;
+    const delta = Math.min(timeDelta / 1000, 0.1);
+    this.time += delta;
+
+    if (config.shape === "mesh") {
+      this.inverseMatrix.copy(this.el.object3D.matrixWorld).invert();
+    }
+
+    // Emission owed since last frame, then any timed burst
+    this.pending += config.emitting ? config.rate * delta : 0;
+    while (this.pending >= 1) {
+      this.pending--;
+      this.spawn(0);
+    }
+    if (
+      config.emitting &&
+      !config.burstEvent &&
+      config.burstCount > 0 &&
+      config.burstInterval > 0
+    ) {
+      this.nextBurst -= delta;
+      while (this.nextBurst <= 0) {
+        this.burst(config.burstCount);
+        this.nextBurst += config.burstInterval;
+      }
+    }
+
+    const attributes = this.points.geometry.attributes;
+    const positions = attributes.position.array;
+    const lives = attributes.life.array;
+    const velocities = this.velocities;
+    const gravity = config.gravity;
+    const wind = config.wind;
+    const pull = 1 - Math.exp(-config.drag * delta);
+    const kick = config.turbulence * delta;
+    const curl = config.curlStrength * delta;
+    const scale = 1 / Math.max(config.curlScale, 0.001);
+    const phase = this.phases.map((p) => p + this.time * 0.5);
+    const maxDistanceSq = config.maxDistance * config.maxDistance;
+
+    for (let i = 0; i < this.count; i++) {
+      if (this.lifetimes[i] === 0) continue;
+
+      this.ages[i] += delta;
+      if (this.ages[i] >= this.lifetimes[i]) {
+        this.kill(i);
+        continue;
+      }
+
+      const i3 = i * 3;
+      const x = positions[i3];
+      const y = positions[i3 + 1];
+      const z = positions[i3 + 2];
+      let vx = velocities[i3] + gravity.x * delta;
+      let vy = velocities[i3 + 1] + gravity.y * delta;
+      let vz = velocities[i3 + 2] + gravity.z * delta;
+
+      if (kick) {
+        vx += (random() - 0.5) * kick;
+        vy += (random() - 0.5) * kick;
+        vz += (random() - 0.5) * kick;
+      }
+
+      // Curl of a potential made of sine products, worked out by hand: it
+      // swirls without bunching particles up (no divergence)
+      if (curl) {
+        const ax = x * scale;
+        const ay = y * scale;
+        const az = z * scale;
+        vx -=
+          curl *
+          (Math.sin(ax + phase[4]) * Math.sin(ay + phase[5]) +
+            Math.cos(az + phase[2]) * Math.cos(ax + phase[3]));
+        vy -=
+          curl *
+          (Math.sin(ay + phase[0]) * Math.sin(az + phase[1]) +
+            Math.cos(ax + phase[4]) * Math.cos(ay + phase[5]));
+        vz -=
+          curl *
+          (Math.sin(az + phase[2]) * Math.sin(ax + phase[3]) +
+            Math.cos(ay + phase[0]) * Math.cos(az + phase[1]));
+      }
+
+      // Drag carries particles along with the wind
+      vx += (wind.x - vx) * pull;
+      vy += (wind.y - vy) * pull;
+      vz += (wind.z - vz) * pull;
+
+      velocities[i3] = vx;
+      velocities[i3 + 1] = vy;
+      velocities[i3 + 2] = vz;
+      positions[i3] = x + vx * delta;
+      positions[i3 + 1] = y + vy * delta;
+      positions[i3 + 2] = z + vz * delta;
+      lives[i] = this.ages[i] / this.lifetimes[i];
+
+      if (
+        maxDistanceSq > 0 &&
+        positions[i3] * positions[i3] +
+          positions[i3 + 1] * positions[i3 + 1] +
+          positions[i3 + 2] * positions[i3 + 2] >
+          maxDistanceSq
+      ) {
+        this.kill(i);
+      }
+    }
+
+    attributes.position.needsUpdate = true;
+    attributes.life.needsUpdate = true;
+    if (this.spawned) {
+      attributes.size.needsUpdate = true;
+      attributes.tint.needsUpdate = true;
+      attributes.spin.needsUpdate = true;
+      this.spawned = false;
+    }
+  },
+
+  kill: function (index) {
+    this.lifetimes[index] = 0;
+    this.points.geometry.attributes.life.array[index] = -1;
+  },
+
+  dispose: function () {
+    if (!this.points) return;
+    this.el.object3D.remove(this.points);
+    this.points.geometry.dispose();
+    this.points.material.dispose();
+    this.points = null;
+  },
+
+  remove: function () {
+    const config = this.config || {};
+
+    this.el.sceneEl.removeEventListener(
+      "frame-capture-start",
+      this.onCaptureStart,
+    );
+    if (config.burstEvent) {
+      this.el.removeEventListener(config.burstEvent, this.onBurstEvent);
+    }
+    if (config.mesh) {
+      config.mesh.removeEventListener("object3dset", this.onMeshChanged);
+    }
+    this.dispose();
+  },
+});
+
+// Sound on raw WebAudio: master, effects and ambient buses (volumes and mute
+// come from the settings system), a listener that follows the camera, and
+// one-shot or looping sounds, optionally positional. Recordings dropped
+// into public/audio under the names below are used as they are; until one
+// is there (or if it won't decode) its sound is synthesized instead, so the
+// shrine makes noise without any files shipped. Browsers keep the context
+// suspended until the first click or key press, and it's suspended again
+// while the scene is paused.
+AFRAME.registerSystem("audio", {
+  // name: [file, synth]
+  sounds: {
+    "bonfire-crackle": ["/audio/bonfire-crackle.ogg", "crackle"],
+    wind: ["/audio/wind.ogg", "wind"],
+    "footstep-stone": ["/audio/footstep-stone.ogg", "stone"],
+    "footstep-dirt": ["/audio/footstep-dirt.ogg", "dirt"],
+    "footstep-wood": ["/audio/footstep-wood.ogg", "wood"],
+    land: ["/audio/land.ogg", "land"],
+    impact: ["/audio/impact.ogg", "impact"],
+  },
+
+  // Footstep surface from a floor's texture file name; anything else is stone
+  surfaces: [
+    { pattern: /grass|dirt|ground|cliff/i, type: "dirt" },
+    { pattern: /wood|tree|door/i, type: "wood" },
+  ],
+
+  init: function () {
+    const Context = window.AudioContext || window.webkitAudioContext;
+    this.context = Context ? new Context() : null;
+    this.buffers = new Map(); // Name to a promise of its AudioBuffer
+    this.raycaster = new THREE.Raycaster();
+    this.down = new THREE.Vector3(0, -1, 0);
+    this.position = new THREE.Vector3();
+    this.forward = new THREE.Vector3();
+    this.up = new THREE.Vector3();
+
+    if (!this.context) return;
+
+    const context = this.context;
+    this.buses = { master: context.createGain() };
+    this.buses.master.connect(context.destination);
+    ["effects", "ambient"].forEach((name) => {
+      this.buses[name] = context.createGain();
+      this.buses[name].connect(this.buses.master);
+    });
+
+    this.unlocked = false; // Resuming before a gesture only earns a warning
+    this.onGesture = () => {
+      this.unlocked = true;
+      if (this.el.isPlaying) context.resume();
+    };
+    // (Entities' own pause/play events bubble up here too)
+    this.onPause = (event) => {
+      if (event.target === this.el) context.suspend();
+    };
+    this.onPlay = (event) => {
+      if (event.target === this.el && this.unlocked) context.resume();
+    };
+    this.onSettings = () => this.applyVolumes();
+
+    window.addEventListener("pointerdown", this.onGesture);
+    window.addEventListener("keydown", this.onGesture);
+    this.el.addEventListener("pause", this.onPause);
+    this.el.addEventListener("play", this.onPlay);
+    this.el.addEventListener("settings-changed", this.onSettings);
+    this.el.addEventListener("loaded", () => this.applyVolumes());
+
+    this.registerCommands();
+  },
+
+  applyVolumes: function () {
+    if (!this.context) return;
+
+    const audio = this.el.systems.settings.audio;
+    const now = this.context.currentTime;
+    const master = audio.muted ? 0 : audio.master;
+    this.buses.master.gain.setTargetAtTime(master, now, 0.05);
+    this.buses.effects.gain.setTargetAtTime(audio.effects, now, 0.05);
+    this.buses.ambient.gain.setTargetAtTime(audio.ambient, now, 0.05);
+  },
+
+  load: function (name) {
+    if (!this.buffers.has(name)) {
+      const sound = this.sounds[name];
+      if (!sound) throw new Error(`Unknown sound: ${name}`);
+
+      // (The dev server answers missing files with the page, which then
+      // fails to decode, so both end up synthesized)
+      const [file, kind] = sound;
+      const promise = fetch(file)
+        .then((response) => {
+          if (!response.ok) throw new Error(response.statusText);
+          return response.arrayBuffer();
+        })
+        .then((data) => this.context.decodeAudioData(data))
+        .catch(() => this.synthesize(kind));
+      this.buffers.set(name, promise);
+    }
+    return this.buffers.get(name);
+  },
+
+  // Plays a sound. options: bus, volume, rate, loop, position (a world
+  // position, or an object3D to follow with the returned handle's update)
+  // and refDistance/maxDistance/rolloff for positional ones. Returns a
+  // handle { gain, panner, update(), stop() }, or null without WebAudio.
+  play: function (name, options = {}) {
+    if (!this.context) return null;
+
+    const context = this.context;
+    const gain = context.createGain();
+    gain.gain.value = options.volume === undefined ? 1 : options.volume;
+    gain.connect(this.buses[options.bus || "effects"]);
+
+    let panner = null;
+    if (options.position) {
+      panner = context.createPanner();
+      panner.panningModel = "HRTF";
+      panner.distanceModel = "inverse";
+      panner.refDistance = options.refDistance || 2;
+      panner.maxDistance = options.maxDistance || 40;
+      panner.rolloffFactor =
+        options.rolloff === undefined ? 1.5 : options.rolloff;
+      panner.connect(gain);
+    }
+
+    const handle = {
+      gain: gain,
+      panner: panner,
+      source: null,
+      stopped: false,
+      update: () => {
+        if (!panner) return;
+        const position = options.position.isObject3D
+          ? options.position.getWorldPosition(this.position)
+          : options.position;
+        this.setPosition(panner, position);
+      },
+      stop: () => {
+        handle.stopped = true;
+        if (handle.source) handle.source.stop();
+        gain.disconnect();
+      },
+    };
+    handle.update();
+
+    this.load(name).then((buffer) => {
+      if (handle.stopped || !buffer) return;
+
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.loop = !!options.loop;
+      source.playbackRate.value = options.rate || 1;
+      source.connect(panner || gain);
+      // Loops start somewhere random so neighbours don't phase
+      source.start(0, options.loop ? Math.random() * buffer.duration : 0);
+      if (!options.loop) source.onended = () => gain.disconnect();
+      handle.source = source;
+    });
+
+    return handle;
+  },
+
+  setPosition: function (node, position) {
+    if (node.positionX) {
+      node.positionX.value = position.x;
+      node.positionY.value = position.y;
+      node.positionZ.value = position.z;
+    } else {
+      node.setPosition(position.x, position.y, position.z);
+    }
+  },
+
+  // The listener rides on the camera (the XR camera in a headset)
+  tick: function () {
+    const camera = this.el.camera;
+    if (!this.context || !camera) return;
+
+    const listener = this.context.listener;
+    camera.getWorldPosition(this.position);
+    camera.getWorldDirection(this.forward);
+    this.up.set(0, 1, 0).transformDirection(camera.matrixWorld);
+
+    if (listener.positionX) {
+      listener.positionX.value = this.position.x;
+      listener.positionY.value = this.position.y;
+      listener.positionZ.value = this.position.z;
+      listener.forwardX.value = this.forward.x;
+      listener.forwardY.value = this.forward.y;
+      listener.forwardZ.value = this.forward.z;
+      listener.upX.value = this.up.x;
+      listener.upY.value = this.up.y;
+      listener.upZ.value = this.up.z;
+    } else {
+      listener.setPosition(this.position.x, this.position.y, this.position.z);
+      listener.setOrientation(
+        this.forward.x,
+        this.forward.y,
+        this.forward.z,
+        this.up.x,
+        this.up.y,
+        this.up.z,
+      );
+    }
+  },
+
+  // What's underfoot at position: an audio-surface on the entity wins,
+  // then the floor texture's name
+  getSurface: function (position) {
+    const collision = this.el.systems["collision-mesh"];
+    this.raycaster.set(position, this.down);
+    this.raycaster.far = 2;
+
+    const hit = this.raycaster.intersectObjects(
+      Array.from(collision.objects),
+      true,
+    )[0];
+    if (!hit) return "stone";
+
+    let object = hit.object;
+    while (object && !object.el) object = object.parent;
+    const surface = object && object.el.components["audio-surface"];
+    if (surface) return surface.data.type;
+
+    const material = [].concat(hit.object.material)[
+      hit.face ? hit.face.materialIndex : 0
+    ];
+    const image = material && material.map && material.map.image;
+    const name = (image && (image.currentSrc || image.src)) || "";
+    const match = this.surfaces.find((entry) => entry.pattern.test(name));
+    return match ? match.type : "stone";
+  },
+
+  // Stand-ins for missing files: filtered noise, seeded so each sound comes
+  // out the same every time
+  synthesize: function (kind) {
+    const context = this.context;
+    const rate = context.sampleRate;
+    // Seeded from the kind's name, so no two kinds share a stream
+    let seed = 0;
+    for (let i = 0; i < kind.length; i++) {
+      seed = (Math.imul(seed, 31) + kind.charCodeAt(i)) >>> 0;
+    }
+    const random = createRandom(seed);
+    const durations = { crackle: 4, wind: 8, land: 0.3, impact: 0.4 };
+    const length = Math.floor(rate * (durations[kind] || 0.14));
+    let buffer = context.createBuffer(1, length, rate);
+    let data = buffer.getChannelData(0);
+
+    if (kind === "crackle") {
+      // A low bed of brown noise with random pops of decaying noise
+      let brown = 0;
+      for (let i = 0; i < length; i++) {
+        brown = (brown + (random() * 2 - 1) * 0.02) * 0.998;
+        data[i] = brown * 0.6;
+      }
+      for (let pops = Math.floor(durations.crackle * 18); pops > 0; pops--) {
+        const start = Math.floor(random() * (length - rate * 0.05));
+        const size = Math.floor(rate * (0.004 + random() * 0.02));
+        const amplitude = 0.2 + random() * 0.8;
+        for (let i = 0; i < size; i++) {
+          data[start + i] +=
+            (random() * 2 - 1) * amplitude * Math.pow(1 - i / size, 3);
+        }
+      }
+    } else if (kind === "wind") {
+      // Brown noise swelling and easing off on a slow wobble
+      let brown = 0;
+      for (let i = 0; i < length; i++) {
+        brown = (brown + (random() * 2 - 1) * 0.02) * 0.999;
+        const t = i / rate;
+        const swell = 0.6 + 0.4 * Math.sin(t * 0.9) * Math.sin(t * 0.37 + 1);
+        data[i] = brown * swell * 2;
+      }
+    } else {
+      // Short hits: noise (smoothed for softer surfaces) over a low knock
+      const smoothing = { stone: 0, dirt: 0.85, wood: 0.5, land: 0.9 };
+      const pitch = { stone: 0, dirt: 0, wood: 180, land: 70, impact: 90 };
+      let previous = 0;
+      for (let i = 0; i < length; i++) {
+        const t = i / length;
+        const amount = smoothing[kind] === undefined ? 0.7 : smoothing[kind];
+        previous = previous * amount + (random() * 2 - 1) * (1 - amount);
+        const knock = Math.sin((2 * Math.PI * (pitch[kind] || 0) * i) / rate);
+        data[i] = (previous * 0.8 + knock * 0.6) * Math.pow(1 - t, 4);
+      }
+    }
+
+    // Loops fade their tail into their start and then drop it, so the last
+    // sample leads straight on to the first and the seam doesn't click
+    if (kind === "crackle" || kind === "wind") {
+      const fade = Math.floor(rate * 0.25);
+      for (let i = 0; i < fade; i++) {
+        const t = i / fade;
+        data[i] = data[i] * t + data[length - fade + i] * (1 - t);
+      }
+
+      const loop = context.createBuffer(1, length - fade, rate);
+      loop.copyToChannel(data.subarray(0, length - fade), 0);
+      buffer = loop;
+      data = loop.getChannelData(0);
+    }
+
+    let peak = 0;
+    data.forEach((value) => (peak = Math.max(peak, Math.abs(value))));
+    if (peak > 0) data.forEach((value, i) => (data[i] = (value / peak) * 0.8));
+
+    return buffer;
+  },
+
+  registerCommands: function () {
+    const commands = this.el.systems["game-console"];
+    const settings = this.el.systems.settings;
+
+    commands.register({
+      name: "mute",
+      description: "Mute or unmute all sound",
+      args: [
+        {
+          name: "state",
+          type: "choice",
+          optional: true,
+          default: "toggle",
+          values: ["on", "off", "toggle"],
+        },
+      ],
+      run: (args, gameConsole) => {
+        const muted =
+          args.state === "toggle" ? !settings.audio.muted : args.state === "on";
+        settings.set("audio.muted", muted);
+        gameConsole.print(muted ? "Sound muted" : "Sound on");
+      },
+    });
+
+    commands.register({
+      name: "volume",
+      description: "Show or set a bus volume (0 to 1)",
+      args: [
+        {
+          name: "bus",
+          type: "choice",
+          optional: true,
+          values: ["master", "effects", "ambient"],
+        },
+        { name: "value", type: "number", optional: true },
+      ],
+      run: (args, gameConsole) => {
+        if (args.bus && args.value !== undefined) {
+          settings.set(
+            `audio.${args.bus}`,
+            THREE.MathUtils.clamp(args.value, 0, 1),
+          );
+        }
+        (args.bus ? [args.bus] : ["master", "effects", "ambient"]).forEach(
+          (bus) => gameConsole.print(`  ${bus}: ${settings.audio[bus]}`),
+        );
+      },
+    });
+  },
+
+  remove: function () {
+    if (!this.context) return;
+
+    window.removeEventListener("pointerdown", this.onGesture);
+    window.removeEventListener("keydown", this.onGesture);
+    this.el.removeEventListener("pause", this.onPause);
+    this.el.removeEventListener("play", this.onPlay);
+    this.el.removeEventListener("settings-changed", this.onSettings);
+    this.context.close();
+  },
+});
+
+// A sound coming from an entity, positional by default. Other components
+// can scale it with setLevel (the bonfire fades its crackle as it burns
+// down) without touching the volume they were given.
+AFRAME.registerComponent("audio-source", {
+  schema: {
+    sound: { type: "string" },
+    bus: { default: "effects", oneOf: ["effects", "ambient"] },
+    volume: { type: "number", default: 1 },
+    loop: { default: true },
+    positional: { default: true },
+    refDistance: { type: "number", default: 2 },
+    maxDistance: { type: "number", default: 40 },
+    rolloff: { type: "number", default: 1.5 },
+  },
+
+  init: function () {
+    this.audio = this.el.sceneEl.systems.audio;
+    this.handle = null;
+    this.level = 1;
+  },
+
+  update: function (oldData) {
+    const data = this.data;
+    const restart = ["sound", "bus", "loop", "positional"].some(
+      (key) => data[key] !== oldData[key],
+    );
+
+    if (restart) {
+      this.stop();
+      if (data.sound) this.start();
+    } else if (this.handle && this.handle.panner) {
+      this.handle.panner.refDistance = data.refDistance;
+      this.handle.panner.maxDistance = data.maxDistance;
+      this.handle.panner.rolloffFactor = data.rolloff;
+    }
+    this.setLevel(this.level);
+  },
+
+  start: function () {
+    const data = this.data;
+    this.handle = this.audio.play(data.sound, {
+      bus: data.bus,
+      volume: 0,
+      loop: data.loop,
+      position: data.positional ? this.el.object3D : null,
+      refDistance: data.refDistance,
+      maxDistance: data.maxDistance,
+      rolloff: data.rolloff,
+    });
+  },
+
+  stop: function () {
+    if (this.handle) this.handle.stop();
+    this.handle = null;
+  },
+
+  setLevel: function (level) {
+    this.level = level;
+    if (!this.handle) return;
+
+    const gain = this.handle.gain.gain;
+    gain.setTargetAtTime(
+      this.data.volume * level,
+      this.audio.context.currentTime,
+      0.05,
+    );
+  },
+
+  tick: function () {
+    if (this.handle) this.handle.update();
+  },
+
+  remove: function () {
+    this.stop();
+  },
+});
+
+// An ambient loop that's full volume within radius of the entity and fades
+// out over the next fade metres, e.g. wind on the exposed parts of the map
+AFRAME.registerComponent("audio-zone", {
+  schema: {
+    sound: { default: "wind" },
+    volume: { type: "number", default: 0.5 },
+    radius: { type: "number", default: 20 },
+    fade: { type: "number", default: 10 },
+  },
+
+  init: function () {
+    this.center = new THREE.Vector3();
+    this.listener = new THREE.Vector3();
+    this.level = -1;
+  },
+
+  update: function () {
+    this.el.setAttribute("audio-source", {
+      sound: this.data.sound,
+      bus: "ambient",
+      volume: this.data.volume,
+      positional: false,
+    });
+  },
+
+  tick: function () {
+    const camera = this.el.sceneEl.camera;
+    const source = this.el.components["audio-source"];
+    if (!camera || !source) return;
+
+    const data = this.data;
+    this.el.object3D.getWorldPosition(this.center);
+    camera.getWorldPosition(this.listener);
+    const outside = this.center.distanceTo(this.listener) - data.radius;
+    const level =
+      outside <= 0 ? 1 : Math.max(0, 1 - outside / Math.max(data.fade, 0.001));
+
+    if (Math.abs(level - this.level) < 0.01) return;
+    this.level = level;
+    source.setLevel(level);
+  },
+
+  remove: function () {
+    this.el.removeAttribute("audio-source");
+  },
+});
+
+// Tags an entity's floors with a footstep surface, over the texture guess
+AFRAME.registerComponent("audio-surface", {
+  schema: {
+    type: { default: "stone", oneOf: ["stone", "dirt", "wood"] },
+  },
+});
+
+// Footsteps for the fps-controller on the same entity: one every stride
+// metres walked on the ground (shorter strides crouched), picked by the
+// surface underfoot, and a thud on landing from a real fall
+AFRAME.registerComponent("footsteps", {
+  schema: {
+    stride: { type: "number", default: 1.8 },
+    volume: { type: "number", default: 0.5 },
+    landSpeed: { type: "number", default: 4 }, // Slowest fall that thuds
+  },
+
+  init: function () {
+    this.distance = 0;
+    this.wasOnGround = true;
+    this.fallSpeed = 0;
+    this.last = this.el.object3D.position.clone();
+    this.feet = new THREE.Vector3();
+  },
+
+  tick: function () {
+    const controller = this.el.components["fps-controller"];
+    const position = this.el.object3D.position;
+    const moved = Math.hypot(
+      position.x - this.last.x,
+      position.z - this.last.z,
+    );
+    this.last.copy(position);
+    if (!controller || controller.data.noclip) return;
+
+    const data = this.data;
+    const onGround = controller.onGround;
+
+    // Teleports aren't steps
+    if (moved > 2) {
+      this.distance = 0;
+    } else if (onGround) {
+      this.distance += moved;
+    }
+
+    if (!onGround) {
+      this.fallSpeed = Math.max(this.fallSpeed, -controller.velocity.y);
+    } else if (!this.wasOnGround && this.fallSpeed >= data.landSpeed) {
+      this.step("land", Math.min(1, this.fallSpeed / 12));
+      this.distance = 0;
+    }
+    if (onGround) this.fallSpeed = 0;
+    this.wasOnGround = onGround;
+
+    const stride = controller.isCrouching ? data.stride * 0.6 : data.stride;
+    if (this.distance >= stride) {
+      this.distance -= stride;
+      this.step(null, controller.isCrouching ? 0.5 : 1);
+    }
+  },
+
+  step: function (sound, level) {
+    const controller = this.el.components["fps-controller"];
+    const audio = this.el.sceneEl.systems.audio;
+
+    this.feet.copy(this.el.object3D.position);
+    this.feet.y -= controller.getRigHeight() - 0.3;
+
+    audio.play(sound || `footstep-${audio.getSurface(this.feet)}`, {
+      volume: this.data.volume * level,
+      rate: 0.9 + Math.random() * 0.2,
+    });
+  },
+});
+
+// Knocks for a physics body hitting things, louder the harder it hits
+AFRAME.registerComponent("impact-sound", {
+  schema: {
+    sound: { default: "impact" },
+    volume: { type: "number", default: 1 },
+    minSpeed: { type: "number", default: 1 }, // Slower bumps are silent
+    maxSpeed: { type: "number", default: 10 }, // Full volume from here
+    cooldown: { type: "number", default: 80 }, // ms between knocks
+  },
+
+  init: function () {
+    this.lastTime = -Infinity;
+
+    this.onCollide = (event) => {
+      const contact = event.detail.contact;
+      const speed = contact
+        ? Math.abs(contact.getImpactVelocityAlongNormal())
+        : 0;
+      const data = this.data;
+      const now = performance.now();
+      if (speed < data.minSpeed || now - this.lastTime < data.cooldown) return;
+
+      this.lastTime = now;
+      const level = Math.min(1, speed / data.maxSpeed);
+      this.el.sceneEl.systems.audio.play(data.sound, {
+        volume: data.volume * level,
+        rate: 1.1 - level * 0.2 + Math.random() * 0.1,
+        position: this.el.object3D.getWorldPosition(new THREE.Vector3()),
+      });
+    };
+    this.el.addEventListener("collide", this.onCollide);
+  },
+
+  remove: function () {
+    this.el.removeEventListener("collide", this.onCollide);
+  },
+});
+
+// Every bonfire in the scene, for the console
+AFRAME.registerSystem("bonfire", {
+  init: function () {
+    this.bonfires = new Set();
+    this.registerCommands();
+  },
+
+  addBonfire: function (component) {
+    this.bonfires.add(component);
+  },
+
+  removeBonfire: function (component) {
+    this.bonfires.delete(component);
+  },
+
+  // The bonfire closest to the player, or null if there are none
+  getNearest: function () {
+    const player = this.el.querySelector("[fps-controller]");
+    const from = player
+      ? player.object3D.getWorldPosition(new THREE.Vector3())
+      : new THREE.Vector3();
+    const position = new THREE.Vector3();
+    let nearest = null;
+    let nearestDistance = Infinity;
+
+    this.bonfires.forEach((bonfire) => {
+      bonfire.el.object3D.getWorldPosition(position);
+      const distance = position.distanceToSquared(from);
+      if (distance < nearestDistance) {
+        nearest = bonfire;
+        nearestDistance = distance;
+      }
+    });
+
+    return nearest;
+  },
+
+  registerCommands: function () {
+    const commands = this.el.systems["game-console"];
+
+    commands.register({
+      name: "bonfire",
+      description: "Light, put out or toggle the nearest bonfire (or all)",
+      args: [
+        {
+          name: "state",
+          type: "choice",
+          optional: true,
+          default: "toggle",
+          values: ["on", "off", "toggle"],
+        },
+        {
+          name: "which",
+          type: "choice",
+          optional: true,
+          default: "nearest",
+          values: ["nearest", "all"],
+        },
+      ],
+      run: (args, gameConsole) => {
+        const nearest = this.getNearest();
+        if (!nearest) {
+          gameConsole.print("No bonfires in the scene");
+          return;
+        }
+
+        const targets =
+          args.which === "all" ? Array.from(this.bonfires) : [nearest];
+        targets.forEach((bonfire) => {
+          const lit =
+            args.state === "toggle" ? !bonfire.data.lit : args.state === "on";
+          bonfire.el.setAttribute("bonfire", "lit", lit);
+        });
+
+        gameConsole.print(
+          targets
+            .map((bonfire) => {
+              const name = bonfire.el.id || "bonfire";
+              return `${name}: ${bonfire.data.lit ? "lit" : "out"}`;
+            })
+            .join(", "),
+        );
+      },
+    });
+  },
+});
+
+// A bonfire: the model, the flame billboard, embers, a crackle and a warm
+// point light that flickers with the flame (the same noise, read at the
+// flame's own time uniform). Lighting it ramps the light and flame up over
+// igniteDuration, putting it out ramps them down. Emits bonfire-lit or
+// bonfire-extinguished when that starts and bonfire-changed once it's done.
+AFRAME.registerComponent("bonfire", {
+  schema: {
+    lit: { default: true },
+    obj: { default: "/models/Bonfire/o0200.obj" },
+    mtl: { default: "/models/Bonfire/o0200.mtl" },
+    color: { type: "color", default: "#ff8c42" },
+    intensity: { type: "number", default: 5 },
+    distance: { type: "number", default: 16 },
+    decay: { type: "number", default: 1.5 },
+    flicker: { type: "number", default: 0.5 }, // 0 = steady light
+    lightHeight: { type: "number", default: 0.9 },
+    castShadow: { default: false },
+    shadowMapSize: { type: "int", default: 512 },
+    igniteDuration: { type: "number", default: 1500 }, // ms
+  },
+
+  init: function () {
+    const data = this.data;
+
+    this.level = data.lit ? 1 : 0; // How far lit, 0 to 1
+    this.ramp = null;
+
+    this.model = document.createElement("a-entity");
+    this.model.setAttribute(
+      "obj-model",
+      `obj: url(${data.obj}); mtl: url(${data.mtl})`,
+    );
+    this.model.setAttribute("material-upgrade", "");
+    this.model.setAttribute("matte-materials", "");
+    this.model.setAttribute("collision-mesh", "");
+
+    this.flame = document.createElement("a-plane");
+    this.flame.setAttribute("width", 0.6);
+    this.flame.setAttribute("height", 1.2);
+    this.flame.setAttribute("position", "0 0.6 0");
+    this.flame.setAttribute(
+      "material",
+      "shader: bonfire-flame; transparent: true; side: double; blending: additive; depthWrite: false",
+    );
+    this.flame.setAttribute("billboard", "");
+
+    this.embers = document.createElement("a-entity");
+    this.embers.setAttribute("particle-emitter", {
+      preset: "embers",
+      emitting: data.lit,
+    });
+    this.embers.setAttribute("position", "0 0.5 0");
+
+    this.light = document.createElement("a-entity");
+    this.light.setAttribute("light", { type: "point", intensity: 0 });
+
+    this.crackle = document.createElement("a-entity");
+    this.crackle.setAttribute("audio-source", {
+      sound: "bonfire-crackle",
+      volume: 0.8,
+      refDistance: 1.5,
+      maxDistance: 30,
+    });
+    this.crackle.setAttribute("position", "0 0.4 0");
+
+    this.getChildren().forEach((child) => this.el.appendChild(child));
+
+    // Shadow casters and receivers that load after shadows were turned on
+    this.onObject3DSet = (event) => this.flagShadows(event.target.object3D);
+
+    this.system.addBonfire(this);
+  },
+
+  update: function (oldData) {
+    const data = this.data;
+
+    this.light.setAttribute("light", {
+      color: data.color,
+      distance: data.distance,
+      decay: data.decay,
+      castShadow: data.castShadow,
+      shadowMapWidth: data.shadowMapSize,
+      shadowMapHeight: data.shadowMapSize,
+    });
+    this.light.object3D.position.set(0, data.lightHeight, 0);
+
+    if (data.castShadow !== !!oldData.castShadow) {
+      this.setShadows(data.castShadow);
+    }
+
+    if (oldData.lit !== undefined && data.lit !== oldData.lit) {
+      this.ignite(data.lit);
+    }
+  },
+
+  getChildren: function () {
+    return [this.model, this.flame, this.embers, this.light, this.crackle];
+  },
+
+  ignite: function (lit) {
+    this.ramp = { from: this.level, to: lit ? 1 : 0, elapsed: 0 };
+
+    const emitter = this.embers.components["particle-emitter"];
+    this.embers.setAttribute("particle-emitter", "emitting", lit);
+    if (lit && emitter) emitter.burst(20);
+
+    this.el.emit(lit ? "bonfire-lit" : "bonfire-extinguished", {
+      duration: this.data.igniteDuration,
+    });
+  },
+
+  tick: function (time, timeDelta) {
+    const data = this.data;
+    const ramp = this.ramp;
+
+    // Counted in frame deltas so captures (which restart time) ramp too
+    if (ramp) {
+      ramp.elapsed += timeDelta;
+      const t =
+        data.igniteDuration > 0
+          ? Math.min(1, ramp.elapsed / data.igniteDuration)
+          : 1;
+      this.level = ramp.from + (ramp.to - ramp.from) * t * t * (3 - 2 * t);
+
+      if (t === 1) {
+        this.ramp = null;
+        this.el.emit("bonfire-changed", { lit: data.lit });
+      }
+    }
+
+    // The flame grows up from its base
+    const flame = this.flame.object3D;
+    flame.visible = this.level > 0;
+    flame.scale.y = Math.max(this.level, 0.001);
+    flame.position.y = 0.6 * this.level;
+
+    const crackle = this.crackle.components["audio-source"];
+    if (crackle && crackle.level !== this.level) crackle.setLevel(this.level);
+
+    const light = this.light.getObject3D("light");
+    if (!light) return;
+
+    const mesh = this.flame.getObject3D("mesh");
+    const uniforms = mesh && mesh.material.uniforms;
+    const seconds = uniforms && uniforms.time ? uniforms.time.value / 1000 : 0;
+    const brightness = flameNoise.brightness(seconds);
+
+    light.intensity =
+      data.intensity * this.level * (1 + data.flicker * (brightness - 1));
+  },
+
+  // A point light's shadow renders the scene six times over, so it's opt-in.
+  // The renderer's shadow map stays off until something asks for it and
+  // meshes only take part once flagged, including ones that load later.
+  setShadows: function (enabled) {
+    const scene = this.el.sceneEl;
+
+    if (enabled) {
+      scene.systems.shadow.setShadowMapEnabled(true);
+      this.flagShadows(scene.object3D);
+      scene.addEventListener("object3dset", this.onObject3DSet);
+    } else {
+      scene.removeEventListener("object3dset", this.onObject3DSet);
+    }
+  },
+
+  // Opaque meshes cast and receive; the flame and particles do neither
+  flagShadows: function (object3D) {
+    object3D.traverse((node) => {
+      if (!node.isMesh) return;
+      const opaque = []
+        .concat(node.material)
+        .every((material) => material && !material.transparent);
+      if (!opaque) return;
+
+      node.castShadow = true;
+      node.receiveShadow = true;
+      [].concat(node.material).forEach((material) => {
+        material.needsUpdate = true;
+      });
+    });
+  },
+
+  remove: function () {
+    this.el.sceneEl.removeEventListener("object3dset", this.onObject3DSet);
+    this.system.removeBonfire(this);
+
+    this.getChildren().forEach((child) => {
+      if (child.parentNode) child.parentNode.removeChild(child);
+    });
+  },
+});
+
+// Builds level pieces (obj-model entities) from a JSON manifest
+AFRAME.registerComponent("level-loader", {
+  schema: {
+    src: { type: "string" },
+  },
+
+  init: function () {
+    this.pieces = [];
+    this.entries = new Map(); // Piece entity -> its manifest entry
+    this.holding = false;
+    this.assets = this.el.sceneEl.systems["asset-loader"];
+    this.collision = this.el.sceneEl.systems["collision-mesh"];
+    this.materials = this.el.sceneEl.systems["material-upgrade"];
+  },
+
+  update: function (oldData) {
+    if (!this.data.src || this.data.src === oldData.src) return;
+    this.clear();
+
+    // Keep the loading screen up and the player held until every piece is in
+    if (!this.holding) {
+      this.holding = true;
+      this.assets.register();
+      this.collision.register();
+    }
+
+    const src = this.data.src;
+    this.assets.load(src, "json").then((manifest) => {
+      // A newer src may have replaced this one while it was in flight
+      if (this.data.src !== src) return;
+
+      if (manifest) {
+        this.build(manifest);
+      } else {
+        this.release();
+      }
+    });
+  },
+
+  release: function () {
+    if (!this.holding) return;
+    this.holding = false;
+    this.assets.sourceLoaded();
+    this.collision.sourceLoaded();
+  },
+
+  build: function (source) {
+    // The editor changes pieces in our own copy, not the cached manifest
+    const manifest = Object.assign({}, source, {
+      pieces: (source.pieces || []).map((piece) => Object.assign({}, piece)),
+    });
+    const pieces = manifest.pieces;
+    let remaining = pieces.length;
+
+    const pieceDone = () => {
+      remaining--;
+      if (remaining === 0) {
+        this.el.emit("level-loaded", { manifest: manifest });
+        this.release();
+      }
+    };
+
+    this.manifest = manifest;
+    this.el.emit("level-manifest-loaded", {
+      manifest: manifest,
+      total: pieces.length,
+    });
+
+    pieces.forEach((piece) => {
+      this.addPiece(piece).then(() => {
+        if (this.manifest === manifest) pieceDone();
+      });
+    });
+
+    if (pieces.length === 0) this.release();
+  },
+
+  // Creates the entity for a manifest entry. Resolves with it once its
+  // materials are upgraded, or with null if the model isn't available
+  addPiece: function (piece) {
+    const manifest = this.manifest;
+    const defaults = manifest.defaults || {};
+    const urls = this.getUrls(piece, manifest.basePath || "");
+
+    // Download everything first so the loaders below only hit the cache
+    return this.assets.loadModel(urls.obj, urls.mtl).then((available) => {
+      // Replaced while downloading, or the user chose to carry on without
+      // this piece's model
+      if (this.manifest !== manifest || !available) return null;
+
+      return new Promise((resolve) => {
+        const el = this.createPiece(piece, defaults, urls);
+        el.addEventListener("model-loaded", (event) => {
+          if (event.target !== el) return;
+          this.materials
+            .upgrade(
+              event.detail.model,
+              urls.mtl,
+              this.getMaterialOverrides(piece, defaults),
+            )
+            .then(() => resolve(el));
+        });
+
+        this.entries.set(el, piece);
+        this.el.appendChild(el);
+        this.pieces.push(el);
+      });
+    });
+  },
+
+  // A new manifest entry for the same model at the piece's current transform
+  duplicatePiece: function (el) {
+    const piece = Object.assign(
+      {},
+      this.entries.get(el),
+      this.getTransform(el),
+    );
+    this.manifest.pieces.push(piece);
+    return this.addPiece(piece);
+  },
+
+  // Writes a piece's current transform back into its manifest entry
+  updatePiece: function (el) {
+    Object.assign(this.entries.get(el), this.getTransform(el));
+  },
+
+  removePiece: function (el) {
+    const piece = this.entries.get(el);
+    this.manifest.pieces.splice(this.manifest.pieces.indexOf(piece), 1);
+    this.pieces.splice(this.pieces.indexOf(el), 1);
+    this.entries.delete(el);
+    if (el.parentNode) el.parentNode.removeChild(el);
+  },
+
+  // Rebuilds the level from a saved set of pieces (see the layout system)
+  setPieces: function (pieces) {
+    if (!this.manifest) return false;
+    if (JSON.stringify(pieces) === JSON.stringify(this.manifest.pieces)) {
+      return true;
+    }
+
+    const manifest = Object.assign({}, this.manifest, { pieces: pieces });
+    this.clear();
+    // Drop the old pieces' triangles; the new ones add theirs as they load
+    this.collision.rebuild();
+    this.build(manifest);
+    return true;
+  },
+
+  isPiece: function (el) {
+    return this.entries.has(el);
+  },
+
+  getTransform: function (el) {
+    const object3D = el.object3D;
+    const rotation = object3D.rotation;
+    const toDegrees = THREE.MathUtils.radToDeg;
+
+    return {
+      position: object3D.position.toArray(),
+      rotation: [
+        toDegrees(rotation.x),
+        toDegrees(rotation.y),
+        toDegrees(rotation.z),
+      ],
+      scale: object3D.scale.toArray(),
+    };
+  },
+
+  getUrls: function (piece, basePath) {
+    const obj = piece.obj || `${piece.id}.obj`;
+    const mtl = piece.mtl === undefined ? `${piece.id}.mtl` : piece.mtl;
+
+    return {
+      obj: basePath + obj,
+      mtl: mtl ? basePath + mtl : null,
+    };
+  },
+
+  createPiece: function (piece, defaults, urls) {
+    const el = document.createElement("a-entity");
+
+    el.setAttribute(
+      "obj-model",
+      urls.mtl
+        ? `obj: url(${urls.obj}); mtl: url(${urls.mtl})`
+        : `obj: url(${urls.obj})`,
+    );
+
+    ["position", "rotation", "scale"].forEach((name) => {
+      const value = piece[name] || defaults[name];
+      if (value) {
+        el.setAttribute(name, { x: value[0], y: value[1], z: value[2] });
+      }
+    });
+
+    const collision =
+      piece.collision !== undefined ? piece.collision : defaults.collision;
+    if (collision) {
+      el.setAttribute("collision-mesh", "");
+    }
+
+    el.dataset.levelPiece = piece.id;
+    el.dataset.tags = (piece.tags || defaults.tags || []).join(" ");
+
+    return el;
+  },
+
+  // Manifest defaults merged under the piece's own entries, per material
+  getMaterialOverrides: function (piece, defaults) {
+    const defaultMaterials = defaults.materials || {};
+    const pieceMaterials = piece.materials || {};
+    const overrides = {};
+
+    Object.keys(defaultMaterials)
+      .concat(Object.keys(pieceMaterials))
+      .forEach((name) => {
+        overrides[name] = Object.assign(
+          {},
+          defaultMaterials[name],
+          pieceMaterials[name],
+        );
+      });
+
+    return overrides;
+  },
+
+  getPiecesByTag: function (tag) {
+    return this.pieces.filter((el) => el.dataset.tags.split(" ").includes(tag));
+  },
+
+  clear: function () {
+    this.pieces.forEach((el) => {
+      if (el.parentNode) el.parentNode.removeChild(el);
+    });
+    this.pieces = [];
+    this.entries.clear();
+    this.manifest = null;
+  },
+
+  remove: function () {
+    this.clear();
+    this.release();
+  },
+});
+
+// Merges the static level geometry into one mesh per material per grid cell
+// once the level is in, so the shrine costs a draw call per cell and
+// material instead of one per piece, object and material. With lod, cells
+// also get a simplified copy that takes over past lodDistance; simplifying
+// is slow and runs on the main thread, so the page stalls while it builds.
+// Pieces keep their own meshes, hidden, so unbatch() (or enabled: false)
+// puts everything back for editing.
+AFRAME.registerComponent("static-batch", {
+  schema: {
+    enabled: { default: true },
+    cellSize: { type: "number", default: 40 },
+    lod: { default: false },
+    lodDistance: { type: "number", default: 40 },
+    lodRatio: { type: "number", default: 0.3 }, // Share of vertices kept
+  },
+
+  textureKeys: [
+    "map",
+    "normalMap",
+    "specularMap",
+    "bumpMap",
+    "emissiveMap",
+    "alphaMap",
+    "aoMap",
+    "roughnessMap",
+    "metalnessMap",
+  ],
+
+  init: function () {
+    this.batches = [];
+    this.hidden = [];
+    this.levelReady = false;
+    this.before = null;
+    this.token = 0; // Bumped on unbatch to stop pending LOD work
+    this.imageIds = new WeakMap();
+    this.nextImageId = 0;
+    this.simplifier = new SimplifyModifier();
+
+    this.onLevelLoaded = (event) => {
+      if (event.target !== this.el) return;
+      this.levelReady = true;
+      if (this.data.enabled) this.batch();
+    };
+    this.onManifestLoaded = (event) => {
+      if (event.target !== this.el) return;
+      this.levelReady = false;
+      this.unbatch();
+    };
+
+    this.el.addEventListener("level-loaded", this.onLevelLoaded);
+    this.el.addEventListener("level-manifest-loaded", this.onManifestLoaded);
+  },
 
-// Dark Souls style bonfire flame shader
-AFRAME.registerShader("bonfire-flame", {
-  schema: {
-    time: { type: "time", is: "uniform" },
+  update: function () {
+    if (!this.levelReady) return;
+    this.unbatch();
+    if (this.data.enabled) this.batch();
   },
 
-  vertexShader: `
-    varying vec2 vUv;
-    varying vec3 vPosition;
+  batch: function () {
+    const root = this.el.object3D;
+    const toLocal = new THREE.Matrix4();
+    const matrix = new THREE.Matrix4();
+    const center = new THREE.Vector3();
+    const cells = new Map();
+
+    root.updateMatrixWorld(true);
+    toLocal.copy(root.matrixWorld).invert();
+    this.before = this.measure(root);
+
+    this.getPieceMeshes().forEach((mesh) => {
+      matrix.multiplyMatrices(toLocal, mesh.matrixWorld);
+      const parts = this.splitMesh(mesh, matrix);
+      if (!parts) return;
+
+      // Cells go by where the mesh sits, so a mesh never spans two batches
+      if (!mesh.geometry.boundingBox) mesh.geometry.computeBoundingBox();
+      mesh.geometry.boundingBox.getCenter(center).applyMatrix4(matrix);
+      const cellKey = [
+        Math.floor(center.x / this.data.cellSize),
+        Math.floor(center.z / this.data.cellSize),
+      ].join(",");
+
+      if (!cells.has(cellKey)) cells.set(cellKey, new Map());
+      const buckets = cells.get(cellKey);
+
+      parts.forEach((part) => {
+        const key = `${this.getMaterialKey(part.material)}#${Object.keys(
+          part.geometry.attributes,
+        )
+          .sort()
+          .join(",")}`;
+        if (!buckets.has(key)) {
+          buckets.set(key, { material: part.material, geometries: [] });
+        }
+        buckets.get(key).geometries.push(part.geometry);
+      });
 
-    void main() {
-      vUv = uv;
-      vPosition = position;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
-    }
-  `,
+      mesh.visible = false;
+      this.hidden.push(mesh);
+    });
 
-  fragmentShader: `
-    uniform float time;
-    varying vec2 vUv;
-    varying vec3 vPosition;
+    cells.forEach((buckets) => this.createBatch(buckets));
 
-    // Noise function for fire turbulence
-    float noise(vec2 p) {
-      return fract(sin(dot(p, vec2(12.9898, 78.233))) * 43758.5453);
-    }
+    if (this.data.lod) this.buildLods(this.token);
+    this.el.emit("static-batch-ready", this.getReport());
+  },
 
-    float smoothNoise(vec2 p) {
-      vec2 i = floor(p);
-      vec2 f = fract(p);
-      f = f * f * (3.0 - 2.0 * f);
+  // Visible meshes of every level piece
+  getPieceMeshes: function () {
+    const meshes = [];
+    const levelLoader = this.el.components["level-loader"];
+    const pieces = levelLoader ? levelLoader.pieces : [];
+
+    pieces.forEach((el) => {
+      const model = el.getObject3D("mesh");
+      if (!model) return;
+      model.traverse((node) => {
+        if (node.isMesh && node.visible) meshes.push(node);
+      });
+    });
 
-      float a = noise(i);
-      float b = noise(i + vec2(1.0, 0.0));
-      float c = noise(i + vec2(0.0, 1.0));
-      float d = noise(i + vec2(1.0, 1.0));
+    return meshes;
+  },
 
-      return mix(mix(a, b, f.x), mix(c, d, f.x), f.y);
+  // One { material, geometry } per material group, transformed into level
+  // space, or null if the mesh has to stay as it is
+  splitMesh: function (mesh, matrix) {
+    let geometry = mesh.geometry;
+    const materials = [].concat(mesh.material);
+
+    // Mirrored transforms would flip the winding of the merged triangles
+    if (matrix.determinant() < 0) return null;
+    // Blended surfaces need their own depth sorting
+    if (materials.some((material) => material.transparent)) return null;
+
+    if (geometry.index) geometry = geometry.toNonIndexed();
+    const attributes = geometry.attributes;
+    if (
+      !attributes.position ||
+      Object.values(attributes).some((a) => a.isInterleavedBufferAttribute)
+    ) {
+      return null;
     }
 
-    float fbm(vec2 p) {
-      float value = 0.0;
-      float amplitude = 0.5;
-      float frequency = 1.0;
+    const groups = geometry.groups.length
+      ? geometry.groups
+      : [{ start: 0, count: attributes.position.count, materialIndex: 0 }];
+
+    return groups
+      .filter((group) => materials[group.materialIndex || 0])
+      .map((group) => {
+        const part = new THREE.BufferGeometry();
+        const start = group.start;
+        const end = Math.min(
+          group.start + group.count,
+          attributes.position.count,
+        );
 
-      for(int i = 0; i < 4; i++) {
-        value += amplitude * smoothNoise(p * frequency);
-        frequency *= 2.0;
-        amplitude *= 0.5;
+        Object.keys(attributes).forEach((name) => {
+          const attribute = attributes[name];
+          const size = attribute.itemSize;
+          part.setAttribute(
+            name,
+            new THREE.BufferAttribute(
+              attribute.array.slice(start * size, end * size),
+              size,
+              attribute.normalized,
+            ),
+          );
+        });
+        part.applyMatrix4(matrix);
+
+        return {
+          material: materials[group.materialIndex || 0],
+          geometry: part,
+        };
+      });
+  },
+
+  // Materials from different MTL files are separate objects even when they
+  // look the same, so compare what they draw with
+  getMaterialKey: function (material) {
+    const describe = (value) => {
+      if (!value) return "-";
+      if (value.isTexture) {
+        // Textures loaded from the same URL share a cached image
+        const image = value.image;
+        let id = value.uuid;
+        if (image && typeof image === "object") {
+          if (!this.imageIds.has(image)) {
+            this.imageIds.set(image, this.nextImageId++);
+          }
+          id = this.imageIds.get(image);
+        }
+        return `${id}@${value.repeat.toArray()}/${value.offset.toArray()}`;
       }
+      if (value.isColor) return value.getHexString();
+      if (value.isVector2) return value.toArray().join(",");
+      return String(value);
+    };
 
-      return value;
-    }
+    return [
+      material.type,
+      material.side,
+      material.alphaTest,
+      material.vertexColors,
+      material.flatShading,
+      material.fog,
+      material.shininess,
+      material.roughness,
+      material.metalness,
+      material.bumpScale,
+      describe(material.normalScale),
+      describe(material.color),
+      describe(material.specular),
+      describe(material.emissive),
+      ...this.textureKeys.map((key) => describe(material[key])),
+    ].join("|");
+  },
 
-    void main() {
-      vec2 uv = vUv;
+  createBatch: function (buckets) {
+    const box = new THREE.Box3();
+    const meshes = [];
 
-      // Make flames rise upward
-      uv.y += time * 0.3;
+    buckets.forEach((bucket) => {
+      const geometry = mergeGeometries(bucket.geometries, false);
+      bucket.geometries.forEach((part) => part.dispose());
+      if (!geometry) return;
 
-      // Add turbulence
-      float turbulence = fbm(uv * 3.0 + time * 0.5);
-      uv.x += (turbulence - 0.5) * 0.3;
+      geometry.computeBoundingBox();
+      box.union(geometry.boundingBox);
+      meshes.push(new THREE.Mesh(geometry, bucket.material));
+    });
+    if (meshes.length === 0) return;
+
+    // Centre the cell on its own origin, which is what LOD measures from
+    const center = box.getCenter(new THREE.Vector3());
+    const detail = new THREE.Group();
+    meshes.forEach((mesh) => {
+      mesh.geometry.translate(-center.x, -center.y, -center.z);
+      mesh.geometry.computeBoundingSphere();
+      detail.add(mesh);
+    });
 
-      // Create flame shape (wider at bottom, narrow at top)
-      float flameShape = smoothstep(0.6, 0.0, abs(vUv.x - 0.5) + vUv.y * 0.5);
+    let object = detail;
+    if (this.data.lod) {
+      object = new THREE.LOD();
+      object.addLevel(detail, 0);
+    }
 
-      // Add noise to flame
-      float fireNoise = fbm(uv * 4.0);
-      flameShape *= fireNoise;
+    const el = document.createElement("a-entity");
+    el.setAttribute("position", center);
+    el.setAttribute("cullable", "");
+    el.dataset.staticBatch = "";
+    this.el.appendChild(el);
+    el.setObject3D("mesh", object);
 
-      // Dark Souls fire colors: intense orange with less yellow
-      vec3 deepOrange = vec3(1.0, 0.3, 0.05);
-      vec3 brightOrange = vec3(1.3, 0.5, 0.1);
-      vec3 hotOrange = vec3(1.5, 0.7, 0.2);
-      vec3 whiteTip = vec3(1.6, 1.2, 0.6);
+    this.batches.push({ el: el, object: object, meshes: meshes });
+  },
 
-      // Color gradient based on height - mostly orange
-      vec3 fireColor;
-      if(vUv.y < 0.3) {
-        fireColor = mix(deepOrange, brightOrange, vUv.y / 0.3);
-      } else if(vUv.y < 0.6) {
-        fireColor = mix(brightOrange, hotOrange, (vUv.y - 0.3) / 0.3);
-      } else {
-        fireColor = mix(hotOrange, whiteTip, (vUv.y - 0.6) / 0.4);
+  // Simplify one mesh per timeout, so frames get drawn between meshes but
+  // each one still blocks the page until it's done. A cell swaps in its low
+  // detail level once all its meshes are done.
+  buildLods: function (token) {
+    const jobs = [];
+    this.batches.forEach((batch) => {
+      batch.low = new THREE.Group();
+      batch.meshes.forEach((mesh, i) => {
+        jobs.push({
+          batch: batch,
+          mesh: mesh,
+          last: i === batch.meshes.length - 1,
+        });
+      });
+    });
+
+    const next = () => {
+      if (this.token !== token) return;
+
+      const job = jobs.shift();
+      if (!job) {
+        this.el.emit("static-batch-lod-ready", this.getReport());
+        return;
       }
 
-      // Add hot core brightness - more orange
-      float coreGlow = smoothstep(0.4, 0.0, abs(vUv.x - 0.5)) * smoothstep(0.8, 0.2, vUv.y);
-      fireColor += coreGlow * vec3(0.6, 0.2, 0.05);
+      const indexed = mergeVertices(job.mesh.geometry);
+      const remove = Math.floor(
+        indexed.attributes.position.count * (1 - this.data.lodRatio),
+      );
+      const geometry = this.simplifier.modify(indexed, remove);
+      indexed.dispose();
+      job.batch.low.add(new THREE.Mesh(geometry, job.mesh.material));
 
-      // Add brightness flicker - more intense
-      float flicker = 1.0 + 0.3 * sin(time * 4.0 + vUv.y * 10.0);
-      fireColor *= flicker;
+      if (job.last) {
+        job.batch.object.addLevel(job.batch.low, this.data.lodDistance);
+      }
+      setTimeout(next, 0);
+    };
+    setTimeout(next, 0);
+  },
 
-      // Alpha based on flame shape and height
-      float alpha = flameShape * smoothstep(1.0, 0.3, vUv.y);
+  unbatch: function () {
+    this.token++;
 
-      gl_FragColor = vec4(fireColor, alpha);
-    }
-  `,
-});
+    this.batches.forEach((batch) => {
+      batch.object.traverse((node) => {
+        if (node.isMesh) node.geometry.dispose();
+      });
+      if (batch.el.parentNode) batch.el.parentNode.removeChild(batch.el);
+    });
+    this.batches = [];
 
-// Billboard component - makes element always face camera
-AFRAME.registerComponent("billboard", {
-  init: function () {
-    this.camera = null;
+    this.hidden.forEach((mesh) => {
+      mesh.visible = true;
+    });
+    this.hidden = [];
   },
 
-  tick: function () {
-    if (!this.camera) {
-      this.camera = document.querySelector("[camera]");
-      if (!this.camera) return;
-    }
+  // Draw calls and triangles under object at full detail, ignoring culling
+  measure: function (object) {
+    const result = { drawCalls: 0, triangles: 0 };
+
+    const visit = (node) => {
+      if (!node.visible && !node.el) return;
+
+      if (node.isMesh) {
+        const geometry = node.geometry;
+        const count = geometry.index
+          ? geometry.index.count
+          : geometry.attributes.position.count;
+        result.drawCalls += Array.isArray(node.material)
+          ? Math.max(1, geometry.groups.length)
+          : 1;
+        result.triangles += Math.floor(count / 3);
+      }
 
-    const cameraPos = this.camera.object3D.position;
-    const thisPos = this.el.object3D.position;
+      // Only the full-detail level of a LOD counts
+      const children = node.isLOD
+        ? node.levels.slice(0, 1).map((level) => level.object)
+        : node.children;
+      children.forEach(visit);
+    };
+    visit(object);
 
-    // Calculate direction from this object to camera
-    const direction = new THREE.Vector3();
-    direction.subVectors(cameraPos, thisPos);
+    return result;
+  },
 
-    // Only rotate on Y axis to keep fire upright
-    direction.y = 0;
-    direction.normalize();
+  getReport: function () {
+    const lods = this.batches.filter(
+      (batch) => batch.object.isLOD && batch.object.levels.length > 1,
+    ).length;
+
+    return {
+      batched: this.batches.length > 0,
+      meshesMerged: this.hidden.length,
+      batches: this.batches.length,
+      lods: lods,
+      before: this.before || this.measure(this.el.object3D),
+      after: this.measure(this.el.object3D),
+    };
+  },
 
-    // Make the plane face the camera
-    this.el.object3D.lookAt(cameraPos);
+  remove: function () {
+    this.el.removeEventListener("level-loaded", this.onLevelLoaded);
+    this.el.removeEventListener("level-manifest-loaded", this.onManifestLoaded);
+    this.unbatch();
   },
 });
 
-// Bonfire embers particle system
-AFRAME.registerComponent("bonfire-embers", {
-  schema: {
-    particleCount: { type: "number", default: 30 },
-    spawnRadius: { type: "number", default: 0.3 },
-    riseSpeed: { type: "number", default: 0.5 },
-    maxHeight: { type: "number", default: 2.5 },
-    glowIntensity: { type: "number", default: 1.5 },
-  },
+// Fixes up the Phong materials MTLLoader builds. These exports put tangent
+// space normal maps behind map_Bump, and maps the MTL leaves out are picked up
+// from next to the diffuse texture (foo.png -> foo_n.png / foo_s.png).
+AFRAME.registerSystem("material-upgrade", {
+  // Override keys read here instead of being copied onto the material:
+  //   type: "phong" | "standard" | "physical"
+  //   normalMap / specularMap: file next to the MTL, replaces the MTL's map
+  //   normalScale: number or [x, y] (use a negative y for DirectX maps)
+  //   bumpIsNormal: treat map_Bump as a normal map (default true)
+  //   siblings: look for _n/_s maps the MTL doesn't list (default true)
+  optionKeys: [
+    "type",
+    "normalMap",
+    "specularMap",
+    "normalScale",
+    "bumpIsNormal",
+    "siblings",
+  ],
 
   init: function () {
-    this.particles = [];
-    this.clock = new THREE.Clock();
+    this.assets = this.el.systems["asset-loader"];
+    this.textures = new Map();
+  },
 
-    // Create particle geometry and material
-    const geometry = new THREE.BufferGeometry();
-    const positions = [];
-    const velocities = [];
-    const lifetimes = [];
-    const sizes = [];
-    const colors = [];
-
-    for (let i = 0; i < this.data.particleCount; i++) {
-      // Spawn near bonfire base
-      const angle = Math.random() * Math.PI * 2;
-      const radius = Math.random() * this.data.spawnRadius;
-      const x = Math.cos(angle) * radius;
-      const z = Math.sin(angle) * radius;
-      const y = Math.random() * 0.15;
-
-      positions.push(x, y, z);
-
-      // More varied velocities
-      velocities.push(
-        (Math.random() - 0.5) * 0.15, // x drift
-        this.data.riseSpeed + Math.random() * 0.5, // upward velocity varied
-        (Math.random() - 0.5) * 0.15, // z drift
-      );
+  // overrides: { "*": {...}, "<material name>": {...} }, named entries win.
+  // Resolves once every mesh under model has its upgraded material.
+  upgrade: function (model, mtlUrl, overrides) {
+    overrides = overrides || {};
+
+    const mtl = mtlUrl ? THREE.Cache.get(mtlUrl) : null;
+    const declared =
+      typeof mtl === "string" ? this.assets.parseMaterials(mtl) : {};
+    const basePath = mtlUrl
+      ? mtlUrl.substr(0, mtlUrl.lastIndexOf("/") + 1)
+      : "";
+
+    // OBJLoader shares one material between every mesh that uses it
+    const upgraded = new Map();
+    model.traverse((node) => {
+      if (!node.isMesh || !node.material) return;
+      [].concat(node.material).forEach((material) => {
+        if (upgraded.has(material)) return;
+
+        const options = Object.assign(
+          {},
+          overrides["*"],
+          overrides[material.name],
+        );
+        upgraded.set(
+          material,
+          this.upgradeMaterial(
+            material,
+            declared[material.name] || {},
+            options,
+            basePath,
+          ),
+        );
+      });
+    });
 
-      lifetimes.push(Math.random()); // random starting lifetime
-      sizes.push(0.03 + Math.random() * 0.05); // varied sizes
+    const materials = Array.from(upgraded.keys());
+    return Promise.all(upgraded.values()).then((results) => {
+      const replacements = new Map();
+      materials.forEach((material, i) => {
+        replacements.set(material, results[i]);
+      });
 
-      // Varied ember colors - deep red to bright orange
-      const colorVariation = Math.random();
-      if (colorVariation < 0.3) {
-        colors.push(1.0, 0.2, 0.05); // Deep red-orange
-      } else if (colorVariation < 0.7) {
-        colors.push(1.0, 0.4, 0.1); // Orange
-      } else {
-        colors.push(1.0, 0.6, 0.2); // Bright orange
-      }
+      model.traverse((node) => {
+        if (!node.isMesh || !node.material) return;
+        node.material = Array.isArray(node.material)
+          ? node.material.map((material) => replacements.get(material))
+          : replacements.get(node.material);
+      });
+    });
+  },
+
+  upgradeMaterial: function (material, maps, options, basePath) {
+    const siblings = options.siblings !== false;
+
+    if (
+      material.bumpMap &&
+      !material.normalMap &&
+      options.bumpIsNormal !== false
+    ) {
+      material.normalMap = material.bumpMap;
+      material.bumpMap = null;
     }
 
-    geometry.setAttribute(
-      "position",
-      new THREE.Float32BufferAttribute(positions, 3),
+    const normal = this.findMap(
+      options.normalMap,
+      material.normalMap ? null : maps.map_kd,
+      "_n",
+      siblings,
+      basePath,
     );
-    geometry.setAttribute(
-      "velocity",
-      new THREE.Float32BufferAttribute(velocities, 3),
+    const specular = this.findMap(
+      options.specularMap,
+      material.specularMap ? null : maps.map_kd,
+      "_s",
+      siblings,
+      basePath,
     );
-    geometry.setAttribute(
-      "lifetime",
-      new THREE.Float32BufferAttribute(lifetimes, 1),
-    );
-    geometry.setAttribute("size", new THREE.Float32BufferAttribute(sizes, 1));
-    geometry.setAttribute("color", new THREE.Float32BufferAttribute(colors, 3));
-
-    // Custom shader material for realistic embers
-    const material = new THREE.ShaderMaterial({
-      uniforms: {
-        time: { value: 0 },
-      },
-      vertexShader: `
-        attribute float size;
-        attribute float lifetime;
-        attribute vec3 color;
-        varying vec3 vColor;
-        varying float vLifetime;
-
-        void main() {
-          vColor = color;
-          vLifetime = lifetime;
-
-          vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-
-          // Fade and shrink with lifetime
-          float fadeSize = size * (1.0 - lifetime * 0.7);
-          gl_PointSize = fadeSize * (300.0 / -mvPosition.z);
-          gl_Position = projectionMatrix * mvPosition;
-        }
-      `,
-      fragmentShader: `
-        varying vec3 vColor;
-        varying float vLifetime;
 
-        void main() {
-          // Circular particle shape
-          vec2 center = gl_PointCoord - vec2(0.5);
-          float dist = length(center);
-
-          if (dist > 0.5) discard;
+    return Promise.all([normal, specular]).then(([normalMap, specularMap]) => {
+      if (normalMap) material.normalMap = normalMap;
+      if (specularMap) material.specularMap = specularMap;
 
-          // Soft edge falloff
-          float alpha = smoothstep(0.5, 0.2, dist);
+      const result = this.convert(material, options.type || "phong");
+      this.applyOptions(result, options);
+      return result;
+    });
+  },
 
-          // Fade out with lifetime
-          alpha *= (1.0 - vLifetime);
+  // An explicit file has to exist (and shows up on the loading screen if it
+  // doesn't), a sibling is only used when the server has one
+  findMap: function (file, diffuse, suffix, siblings, basePath) {
+    if (file) {
+      return this.loadTexture(this.assets.resolveUrl(basePath, file), false);
+    }
+    if (!diffuse || !siblings) return Promise.resolve(null);
 
-          // Hot core glow
-          float glow = smoothstep(0.5, 0.0, dist);
-          vec3 glowColor = vColor + vec3(0.3, 0.2, 0.1) * glow;
+    const dot = diffuse.lastIndexOf(".");
+    if (dot === -1) return Promise.resolve(null);
+    const sibling = diffuse.substr(0, dot) + suffix + diffuse.substr(dot);
+    return this.loadTexture(this.assets.resolveUrl(basePath, sibling), true);
+  },
 
-          // Flicker brightness
-          float flicker = 0.8 + 0.2 * fract(sin(vLifetime * 100.0) * 43758.5);
+  loadTexture: function (url, optional) {
+    if (!this.textures.has(url)) {
+      const available = optional
+        ? this.assets.exists(url)
+        : Promise.resolve(true);
+
+      this.textures.set(
+        url,
+        available
+          .then((exists) => (exists ? this.assets.load(url, "image") : null))
+          .then((image) => {
+            if (!image) return null;
+
+            // Same setup MTLLoader gives its maps (data, not colour)
+            const texture = new THREE.Texture(image);
+            texture.name = url;
+            texture.wrapS = THREE.RepeatWrapping;
+            texture.wrapT = THREE.RepeatWrapping;
+            texture.needsUpdate = true;
+            return texture;
+          }),
+      );
+    }
+    return this.textures.get(url);
+  },
 
-          gl_FragColor = vec4(glowColor * flicker, alpha * 0.9);
-        }
-      `,
-      transparent: true,
-      blending: THREE.AdditiveBlending,
-      depthWrite: false,
-      fog: false,
+  convert: function (material, type) {
+    if (type === "phong" || !material.isMeshPhongMaterial) return material;
+
+    const physical = type === "physical";
+    const Material = physical
+      ? THREE.MeshPhysicalMaterial
+      : THREE.MeshStandardMaterial;
+
+    const result = new Material({
+      name: material.name,
+      color: material.color,
+      map: material.map,
+      normalMap: material.normalMap,
+      normalScale: material.normalScale,
+      bumpMap: material.bumpMap,
+      bumpScale: material.bumpScale,
+      emissive: material.emissive,
+      emissiveMap: material.emissiveMap,
+      alphaMap: material.alphaMap,
+      transparent: material.transparent,
+      opacity: material.opacity,
+      alphaTest: material.alphaTest,
+      side: material.side,
+      vertexColors: material.vertexColors,
+      flatShading: material.flatShading,
+      metalness: 0,
+      // Rough match for the Blinn-Phong exponent
+      roughness: Math.sqrt(2 / (material.shininess + 2)),
     });
 
-    this.particleSystem = new THREE.Points(geometry, material);
-    this.el.object3D.add(this.particleSystem);
-  },
-
-  tick: function (time, timeDelta) {
-    const delta = timeDelta / 1000;
-    const positions = this.particleSystem.geometry.attributes.position;
-    const velocities = this.particleSystem.geometry.attributes.velocity;
-    const lifetimes = this.particleSystem.geometry.attributes.lifetime;
-    const sizes = this.particleSystem.geometry.attributes.size;
-    const colors = this.particleSystem.geometry.attributes.color;
+    // Standard has no slot for a specular map, physical takes it as colour
+    if (physical && material.specularMap) {
+      result.specularColorMap = material.specularMap;
+      result.specularColor.copy(material.specular);
+    }
 
-    // Update shader time
-    this.particleSystem.material.uniforms.time.value = time * 0.001;
+    material.dispose();
+    return result;
+  },
 
-    for (let i = 0; i < this.data.particleCount; i++) {
-      const i3 = i * 3;
+  applyOptions: function (material, options) {
+    Object.keys(options).forEach((key) => {
+      const value = options[key];
 
-      // Update lifetime
-      lifetimes.array[i] += delta * 0.25;
+      if (key === "normalScale") {
+        if (Array.isArray(value)) {
+          material.normalScale.fromArray(value);
+        } else {
+          material.normalScale.set(value, value);
+        }
+        return;
+      }
+      if (this.optionKeys.includes(key) || material[key] === undefined) {
+        return;
+      }
 
-      // Reset particle if it's too old or too high
-      if (
-        lifetimes.array[i] > 1 ||
-        positions.array[i3 + 1] > this.data.maxHeight
-      ) {
-        // Respawn at base
-        const angle = Math.random() * Math.PI * 2;
-        const radius = Math.random() * this.data.spawnRadius;
-        positions.array[i3] = Math.cos(angle) * radius;
-        positions.array[i3 + 1] = Math.random() * 0.15;
-        positions.array[i3 + 2] = Math.sin(angle) * radius;
-
-        velocities.array[i3] = (Math.random() - 0.5) * 0.15;
-        velocities.array[i3 + 1] = this.data.riseSpeed + Math.random() * 0.5;
-        velocities.array[i3 + 2] = (Math.random() - 0.5) * 0.15;
-
-        lifetimes.array[i] = 0;
-        sizes.array[i] = 0.03 + Math.random() * 0.05;
-
-        // Randomize color on respawn
-        const colorVariation = Math.random();
-        if (colorVariation < 0.3) {
-          colors.array[i3] = 1.0;
-          colors.array[i3 + 1] = 0.2;
-          colors.array[i3 + 2] = 0.05;
-        } else if (colorVariation < 0.7) {
-          colors.array[i3] = 1.0;
-          colors.array[i3 + 1] = 0.4;
-          colors.array[i3 + 2] = 0.1;
+      if (material[key] && material[key].isColor) {
+        // Arrays are linear RGB, strings go through the colour parser
+        if (Array.isArray(value)) {
+          material[key].fromArray(value);
         } else {
-          colors.array[i3] = 1.0;
-          colors.array[i3 + 1] = 0.6;
-          colors.array[i3 + 2] = 0.2;
+          material[key].set(value);
         }
       } else {
-        // Update position based on velocity
-        positions.array[i3] += velocities.array[i3] * delta;
-        positions.array[i3 + 1] += velocities.array[i3 + 1] * delta;
-        positions.array[i3 + 2] += velocities.array[i3 + 2] * delta;
+        material[key] = value;
+      }
+    });
 
-        // Add turbulence - more chaotic
-        const turbulence = Math.sin(time * 0.002 + i) * 0.002;
-        positions.array[i3] += turbulence;
-        positions.array[i3 + 2] += Math.cos(time * 0.002 + i * 1.5) * 0.002;
+    material.needsUpdate = true;
+  },
+});
 
-        // Slow down as they rise (air resistance)
-        velocities.array[i3 + 1] *= 0.998;
+// Upgrades the materials of the obj-model on this entity (level pieces get
+// theirs from level-loader and the manifest's material overrides)
+AFRAME.registerComponent("material-upgrade", {
+  schema: {
+    type: { default: "phong", oneOf: ["phong", "standard", "physical"] },
+    normalScale: { type: "vec2", default: { x: 1, y: 1 } },
+    siblings: { default: true },
+  },
 
-        // Drift more as they age
-        velocities.array[i3] += (Math.random() - 0.5) * 0.001;
-        velocities.array[i3 + 2] += (Math.random() - 0.5) * 0.001;
-      }
-    }
+  init: function () {
+    this.assets = this.el.sceneEl.systems["asset-loader"];
+    this.holding = true;
+    this.assets.register();
+
+    this.onModelLoaded = (event) => {
+      if (event.target !== this.el) return;
+
+      const mtl = this.el.getAttribute("obj-model").mtl;
+      const options = {
+        type: this.data.type,
+        normalScale: [this.data.normalScale.x, this.data.normalScale.y],
+        siblings: this.data.siblings,
+      };
+      this.system
+        .upgrade(event.detail.model, mtl, { "*": options })
+        .then(() => this.release());
+    };
+    this.onModelError = (event) => {
+      if (event.target === this.el) this.release();
+    };
 
-    positions.needsUpdate = true;
-    lifetimes.needsUpdate = true;
-    sizes.needsUpdate = true;
-    colors.needsUpdate = true;
+    this.el.addEventListener("model-loaded", this.onModelLoaded);
+    this.el.addEventListener("model-error", this.onModelError);
+  },
+
+  release: function () {
+    if (!this.holding) return;
+    this.holding = false;
+    this.assets.sourceLoaded();
   },
 
   remove: function () {
-    if (this.particleSystem) {
-      this.el.object3D.remove(this.particleSystem);
-    }
+    this.el.removeEventListener("model-loaded", this.onModelLoaded);
+    this.el.removeEventListener("model-error", this.onModelError);
+    this.release();
   },
 });
 
@@ -1441,18 +9351,24 @@ AFRAME.registerShader("textured-purple", {
     emissive: { type: "color", default: "#9933FF", is: "uniform" },
     emissiveIntensity: { type: "number", default: 1.0, is: "uniform" },
     time: { type: "time", is: "uniform" },
+    fog: { default: true },
   },
 
+  init: initFogShader,
+
   vertexShader: `
     varying vec2 vUv;
     varying vec3 vNormal;
     varying vec3 vPosition;
+    #include <fog_pars_vertex>
 
     void main() {
       vUv = uv;
       vNormal = normalize(normalMatrix * normal);
       vPosition = position;
-      gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+      vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+      gl_Position = projectionMatrix * mvPosition;
+      #include <fog_vertex>
     }
   `,
 
@@ -1464,6 +9380,7 @@ AFRAME.registerShader("textured-purple", {
     varying vec2 vUv;
     varying vec3 vNormal;
     varying vec3 vPosition;
+    #include <fog_pars_fragment>
 
     // Procedural noise for texture
     float noise(vec3 p) {
@@ -1498,11 +9415,15 @@ AFRAME.registerShader("textured-purple", {
       finalColor *= (0.5 + diffuse * 0.5);
 
       gl_FragColor = vec4(finalColor, 1.0);
+      #include <fog_fragment>
     }
   `,
 });
 
-// Click and drag component for physics objects
+// Click and drag component for physics objects, on the interact action.
+// The pointer is one holder (aiming with the mouse, or from the middle of
+// the screen when a gamepad pressed interact); XR hands grab through
+// grab()/release() and keep targetPosition updated themselves.
 AFRAME.registerComponent("clickable-physics", {
   schema: {
     force: { type: "number", default: 10 },
@@ -1510,70 +9431,72 @@ AFRAME.registerComponent("clickable-physics", {
 
   init: function () {
     this.isGrabbed = false;
+    this.holder = null;
     this.raycaster = new THREE.Raycaster();
     this.mouse = new THREE.Vector2();
+    this.useMouse = true;
     this.targetPosition = new THREE.Vector3();
 
-    this.onMouseDown = this.onMouseDown.bind(this);
-    this.onMouseMove = this.onMouseMove.bind(this);
-    this.onMouseUp = this.onMouseUp.bind(this);
+    this.onActionDown = this.onActionDown.bind(this);
+    this.onActionUp = this.onActionUp.bind(this);
 
-    window.addEventListener("mousedown", this.onMouseDown);
-    window.addEventListener("mousemove", this.onMouseMove);
-    window.addEventListener("mouseup", this.onMouseUp);
+    this.el.sceneEl.addEventListener("action-down", this.onActionDown);
+    this.el.sceneEl.addEventListener("action-up", this.onActionUp);
   },
 
-  onMouseDown: function (event) {
-    // Update mouse position
-    this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  onActionDown: function (event) {
+    if (event.detail.action !== "interact") return;
 
-    // Get camera
-    const camera = document.querySelector("[camera]").getObject3D("camera");
+    // Clicks select things in the editor
+    if (this.el.sceneEl.is("editing")) return;
 
-    // Set up raycaster
-    this.raycaster.setFromCamera(this.mouse, camera);
+    this.useMouse = event.detail.device === "mouse";
+    this.aim();
 
     // Check if we hit this object
     const intersects = this.raycaster.intersectObject(this.el.object3D, true);
 
-    if (intersects.length > 0) {
-      this.isGrabbed = true;
+    if (intersects.length > 0 && !this.isGrabbed) {
+      this.grab("pointer");
       console.log("Grabbed sphere!");
     }
   },
 
-  onMouseMove: function (event) {
-    if (!this.isGrabbed) return;
+  onActionUp: function (event) {
+    if (event.detail.action !== "interact") return;
+
+    if (this.holder === "pointer") {
+      console.log("Released sphere!");
+    }
+    this.release("pointer");
+  },
 
-    // Update mouse position
-    this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-    this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+  aim: function () {
+    const input = this.el.sceneEl.systems["input-actions"];
+    if (this.useMouse) {
+      this.mouse.copy(input.pointer);
+    } else {
+      this.mouse.set(0, 0);
+    }
 
     // Get camera
     const camera = document.querySelector("[camera]").getObject3D("camera");
 
     // Set up raycaster
     this.raycaster.setFromCamera(this.mouse, camera);
+  },
 
-    // Remember grab distance when first grabbed
-    if (!this.grabDistance) {
-      this.grabDistance = this.raycaster.ray.origin.distanceTo(
-        this.el.object3D.position,
-      );
-    }
-
-    // Project mouse ray to the grab distance
-    this.targetPosition.copy(this.raycaster.ray.direction);
-    this.targetPosition.multiplyScalar(this.grabDistance);
-    this.targetPosition.add(this.raycaster.ray.origin);
+  grab: function (holder) {
+    this.isGrabbed = true;
+    this.holder = holder;
+    this.targetPosition.copy(this.el.object3D.position);
   },
 
-  onMouseUp: function (event) {
-    if (this.isGrabbed) {
-      console.log("Released sphere!");
-    }
+  // Only the current holder can let go
+  release: function (holder) {
+    if (holder !== this.holder) return;
     this.isGrabbed = false;
+    this.holder = null;
     this.grabDistance = null; // Reset for next grab
   },
 
@@ -1583,6 +9506,22 @@ AFRAME.registerComponent("clickable-physics", {
     const body = this.el.body;
     if (!body) return;
 
+    if (this.holder === "pointer") {
+      this.aim();
+
+      // Remember grab distance when first grabbed
+      if (!this.grabDistance) {
+        this.grabDistance = this.raycaster.ray.origin.distanceTo(
+          this.el.object3D.position,
+        );
+      }
+
+      // Project the ray to the grab distance
+      this.targetPosition.copy(this.raycaster.ray.direction);
+      this.targetPosition.multiplyScalar(this.grabDistance);
+      this.targetPosition.add(this.raycaster.ray.origin);
+    }
+
     // Get current position
     const currentPos = this.el.object3D.position;
 
@@ -1608,9 +9547,8 @@ AFRAME.registerComponent("clickable-physics", {
   },
 
   remove: function () {
-    window.removeEventListener("mousedown", this.onMouseDown);
-    window.removeEventListener("mousemove", this.onMouseMove);
-    window.removeEventListener("mouseup", this.onMouseUp);
+    this.el.sceneEl.removeEventListener("action-down", this.onActionDown);
+    this.el.sceneEl.removeEventListener("action-up", this.onActionUp);
   },
 });
 
@@ -1661,78 +9599,137 @@ document.addEventListener("DOMContentLoaded", () => {
   const loadingProgress = document.getElementById("loading-progress");
   const scene = document.querySelector("a-scene");
 
-  let loadedModels = 0;
-  const totalModels = 74; // 73 Firelink + 1 mushroom + bonfire
+  const loadingStatus = document.getElementById("loading-status");
+  const loadingFiles = document.getElementById("loading-files");
+  const loadingErrors = document.getElementById("loading-errors");
+  const loadingErrorList = document.getElementById("loading-error-list");
 
-  // Update progress bar
-  const updateProgress = () => {
-    const progress = (loadedModels / totalModels) * 100;
-    loadingProgress.style.width = progress + "%";
+  const megabytes = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
+
+  const hideLoadingScreen = () => {
+    loadingScreen.classList.add("loaded");
+    setTimeout(() => {
+      loadingScreen.style.display = "none";
+    }, 500); // Wait for fade out animation
   };
 
-  // Listen for model loads
-  scene.addEventListener("model-loaded", () => {
-    loadedModels++;
-    updateProgress();
-  });
+  scene.addEventListener("asset-progress", (event) => {
+    const summary = event.detail;
+
+    const progress = summary.bytesTotal
+      ? (summary.bytesLoaded / summary.bytesTotal) * 100
+      : 0;
+    loadingProgress.style.width = progress + "%";
+    loadingStatus.textContent =
+      `${megabytes(summary.bytesLoaded)} / ${megabytes(summary.bytesTotal)} MB` +
+      ` - ${summary.filesLoaded} / ${summary.filesTotal} files`;
+
+    // What is downloading right now
+    loadingFiles.innerHTML = "";
+    summary.active.slice(0, 6).forEach((record) => {
+      const item = document.createElement("li");
+      item.textContent = record.total
+        ? `${record.name} ${Math.round((record.loaded / record.total) * 100)}%`
+        : record.name;
+      loadingFiles.appendChild(item);
+    });
 
-  // Track scene loaded state
-  let sceneLoaded = false;
+    // Everything that failed, by name
+    loadingErrors.classList.toggle("active", summary.failed.length > 0);
+    loadingErrorList.innerHTML = "";
+    summary.failed.forEach((record) => {
+      const item = document.createElement("li");
+      item.textContent = record.fetched
+        ? `${record.name}: ${record.error}`
+        : `${record.name}: ${record.error} (reload to retry)`;
+      loadingErrorList.appendChild(item);
+    });
+  });
 
-  const checkReadyToHide = () => {
-    console.log("checkReadyToHide:", { sceneLoaded });
-    if (sceneLoaded) {
-      console.log("Hiding loading screen");
-      loadingScreen.classList.add("loaded");
-      setTimeout(() => {
-        loadingScreen.style.display = "none";
-      }, 500); // Wait for fade out animation
-    }
-  };
+  // Only dismiss once every asset (textures included) is decoded
+  scene.addEventListener("assets-ready", hideLoadingScreen);
 
-  // Wait for scene to load
-  scene.addEventListener("loaded", () => {
-    console.log("Scene loaded");
-    sceneLoaded = true;
+  document.getElementById("loading-retry").addEventListener("click", () => {
+    scene.systems["asset-loader"].retry();
+  });
 
-    // Hide loading screen after 1 second
-    setTimeout(() => {
-      console.log("Hiding loading screen after delay");
-      checkReadyToHide();
-    }, 1000);
+  document.getElementById("loading-continue").addEventListener("click", () => {
+    scene.systems["asset-loader"].skipFailed();
+    hideLoadingScreen();
   });
 
+  // HUD controls go through the postfx API and follow it back, so changes
+  // from the console show up here too
   const slider = document.getElementById("pixel-sorter-slider");
   const valueDisplay = document.getElementById("pixel-sorter-value");
+  const asciiBtn = document.getElementById("ascii-shader-btn");
 
   slider.addEventListener("input", (e) => {
+    const postfx = scene.systems.postfx;
     const value = parseInt(e.target.value);
 
     if (value === 0) {
       // Turn off
-      scene.setAttribute("pixel-sorter", "enabled", false);
-      valueDisplay.textContent = "OFF";
+      postfx.disable("pixel-sort");
     } else {
       // Turn on and set threshold
       const threshold = 1 - value / 100; // Invert so higher slider = more effect
-      scene.setAttribute("pixel-sorter", {
-        enabled: true,
-        threshold: threshold,
-      });
-      valueDisplay.textContent = value;
+      postfx.setParams("pixel-sort", { enabled: true, threshold: threshold });
     }
   });
 
   // ASCII shader button toggle
-  const asciiBtn = document.getElementById("ascii-shader-btn");
-  let asciiEnabled = false;
-
   asciiBtn.addEventListener("click", () => {
-    asciiEnabled = !asciiEnabled;
-    scene.setAttribute("ascii-shader", "enabled", asciiEnabled);
-    asciiBtn.textContent = asciiEnabled
-      ? "ASCII Shader: ON"
-      : "ASCII Shader: OFF";
-    asciiBtn.classList.toggle("active", asciiEnabled);
+    const postfx = scene.systems.postfx;
+    const ascii = postfx.get("ascii");
+    postfx.enable("ascii", !(ascii && ascii.component.data.enabled));
+  });
+
+  const updateEffectControls = () => {
+    scene.systems.postfx.list().forEach((effect) => {
+      if (effect.name === "pixel-sort") {
+        const value = effect.enabled
+          ? Math.max(1, Math.round((1 - effect.params.threshold) * 100))
+          : 0;
+        slider.value = value;
+        valueDisplay.textContent = value === 0 ? "OFF" : value;
+      } else if (effect.name === "ascii") {
+        asciiBtn.textContent = effect.enabled
+          ? "ASCII Shader: ON"
+          : "ASCII Shader: OFF";
+        asciiBtn.classList.toggle("active", effect.enabled);
+      }
+    });
+  };
+
+  // Systems only exist once A-Frame has set the scene up
+  scene.addEventListener("postfx-changed", updateEffectControls);
+  scene.addEventListener("loaded", updateEffectControls);
+
+  // Waypoint list: one button per waypoint, rebuilt whenever they change
+  const waypointList = document.getElementById("waypoint-list");
+  const waypointItems = document.getElementById("waypoint-items");
+
+  document.getElementById("waypoint-toggle").addEventListener("click", (e) => {
+    waypointList.classList.toggle("open");
+    e.target.blur();
   });
+
+  const updateWaypointList = () => {
+    waypointItems.innerHTML = "";
+    scene.systems.waypoints.list().forEach((waypoint) => {
+      const item = document.createElement("li");
+      const button = document.createElement("button");
+      button.textContent = waypoint.name;
+      button.addEventListener("click", () => {
+        scene.systems.waypoints.goto(waypoint.name);
+        button.blur(); // Keep WASD going to the player
+      });
+      item.appendChild(button);
+      waypointItems.appendChild(item);
+    });
+  };
+
+  scene.addEventListener("waypoints-changed", updateWaypointList);
+  scene.addEventListener("loaded", updateWaypointList);
 });